@@ -0,0 +1,150 @@
+// Expectimax search for the best move, run in a Web Worker so that the
+// search does not block the animations of the page
+
+if (typeof importScripts === "function") {
+    importScripts("game-core.js")
+}
+
+/**
+ * Returns the rank of each cell under the merge rule, 0 for the empty ones and the special tiles
+ * @param game {Game} the game
+ * @returns {number[][]} the matrix of the ranks, indexed by x then y
+ */
+function gridRanks(game) {
+    const rule = game.mergeRule()
+    return game.grid.cells.map(column => column.map(tile => tile && tile.value > 0 ? rule.rank(tile.value) : 0))
+}
+
+/**
+ * Measures how far the lines of the board are from being monotonic
+ * @param ranks {number[][]} the ranks of the cells
+ * @returns {number} the penalty, 0 when every row and column is monotonic
+ */
+function monotonicityPenalty(ranks) {
+    const size = ranks.length
+    let penalty = 0
+    for (let i = 0; i < size; i ++) {
+        let rowIncrease = 0, rowDecrease = 0, columnIncrease = 0, columnDecrease = 0
+        for (let j = 1; j < size; j ++) {
+            const rowDelta = ranks[j][i] - ranks[j - 1][i]
+            const columnDelta = ranks[i][j] - ranks[i][j - 1]
+            rowDelta > 0 ? rowIncrease += rowDelta : rowDecrease -= rowDelta
+            columnDelta > 0 ? columnIncrease += columnDelta : columnDecrease -= columnDelta
+        }
+        penalty += Math.min(rowIncrease, rowDecrease) + Math.min(columnIncrease, columnDecrease)
+    }
+    return penalty
+}
+
+/**
+ * Counts the tiles that would merge with the ones on their right or below them, under the merge rule of the game
+ * @param game {Game} the position
+ * @returns {number} the number of merges
+ */
+function mergeCount(game) {
+    const vectors = [game.getVector(1), game.getVector(2)]
+    let merges = 0
+    game.grid.eachCell((x, y, tile) => {
+        if (!tile) return
+        for (const vector of vectors) {
+            const ahead = game.tilesAhead({ x: x + vector.x, y: y + vector.y }, vector, false)
+            if (ahead.length && game.mergeResult(tile, ahead)) merges ++
+        }
+    })
+    return merges
+}
+
+/**
+ * Scores a position with the usual heuristics, higher is better
+ * @param game {Game} the position
+ * @returns {number} the score
+ */
+function evaluate(game) {
+    const ranks = gridRanks(game)
+    return 2.7 * game.grid.availableCells().length +
+        1.0 * mergeCount(game) -
+        1.5 * monotonicityPenalty(ranks) +
+        0.1 * game.score / game.grid.size
+}
+
+/**
+ * Copies a game so that a simulation leaves it untouched
+ * @param game {Game} the game
+ * @returns {Game} the copy
+ */
+function cloneGame(game) {
+    const copy = Game.fromState(game.serialize())
+    copy.keepPlaying = true
+    return copy
+}
+
+/**
+ * Returns the value of a position where the player is to move
+ * @param game {Game} the position
+ * @param depth {number} the number of moves left to search
+ * @returns {number} the value of the best move
+ */
+function maxNode(game, depth) {
+    let best = - Infinity
+    for (let direction = 0; direction < 4; direction ++) {
+        const next = cloneGame(game)
+        if (next.slide(direction).moved) {
+            best = Math.max(best, chanceNode(next, depth))
+        }
+    }
+    // Losing is worse than any position still in play
+    return best === - Infinity ? evaluate(game) - 1000 : best
+}
+
+/**
+ * Returns the expected value of a position where a tile is about to spawn
+ * @param game {Game} the position
+ * @param depth {number} the number of moves left to search
+ * @returns {number} the average value over the possible spawns
+ */
+function chanceNode(game, depth) {
+    const cells = game.grid.availableCells()
+    if (depth <= 1 || !cells.length) {
+        return evaluate(game)
+    }
+    // Only the likeliest value is tried on busy boards, where the search is widest
+    const likeliest = game.rules.spawns.reduce((best, spawn) => spawn[1] > best[1] ? spawn : best)
+    const spawns = cells.length > 6 ? [[likeliest[0], 1]] : game.rules.spawns
+    let total = 0
+    cells.forEach(cell => {
+        spawns.forEach(([value, probability]) => {
+            const next = cloneGame(game)
+            next.grid.insertTile(new Tile(cell, value))
+            total += probability * maxNode(next, depth - 1)
+        })
+    })
+    return total / cells.length
+}
+
+/**
+ * Searches for the best move of a game
+ * @param state {Object} the serialized game
+ * @returns {{direction: ?number, scores: number[]}} the best direction, null when no move is possible,
+ * and the value of each direction
+ */
+function bestMove(state) {
+    const game = Game.fromState(state)
+    const depth = game.grid.availableCells().length > 4 || game.grid.size > 4 ? 2 : 3
+    const scores = []
+    let direction = null
+    for (let key = 0; key < 4; key ++) {
+        const next = cloneGame(game)
+        scores[key] = next.slide(key).moved ? chanceNode(next, depth) : null
+        if (scores[key] !== null && (direction === null || scores[key] > scores[direction])) {
+            direction = key
+        }
+    }
+    return { direction: direction, scores: scores }
+}
+
+if (typeof importScripts === "function") {
+    self.onmessage = event => {
+        const result = bestMove(event.data.state)
+        self.postMessage({ id: event.data.id, direction: result.direction, scores: result.scores })
+    }
+}
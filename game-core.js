@@ -0,0 +1,1199 @@
+// The rules of the game, without any DOM access so that they also run in Node
+// (see runCommandLine at the bottom of this file)
+
+class Grid {
+    constructor(size, state) {
+        this.size = size
+        this.cells = state ? this.fromState(state) : this.empty()
+    }
+
+    /**
+     * Build a grid of the specified size
+     * @returns {*[]} a size x size matrix containing nulls
+     */
+    empty = () => {
+        const lines = []
+        for (let i = 0; i < this.size; i ++) {
+            lines[i] = []
+            for (let j = 0; j < this.size; j ++) {
+                lines[i].push(null)
+            }
+        }
+        return lines
+    }
+
+    /**
+     * Build a grid of the specified size from a state
+     * @param state {*[]} the state to build the grid from
+     * @returns {*[]} a size x size matrix containing the tiles
+     */
+    fromState = state => {
+        const lines = []
+        for (let i = 0; i < this.size; i ++) {
+            lines[i] = []
+            for (let n = 0; n < this.size; n ++) {
+                const stateValue = state[i][n]
+                lines[i].push(stateValue ? new Tile(stateValue.position, stateValue.value, stateValue.type) : null)
+            }
+        }
+        return lines
+    }
+
+    /**
+     * Returns a random available position
+     * @param random {Function} the source of random numbers in [0, 1)
+     * @returns {*} a random position
+     */
+    randomAvailableCell = (random = Math.random) => {
+        const cells = this.availableCells()
+        if (cells.length) return cells[Math.floor(random() * cells.length)]
+    }
+
+    /**
+     * Returns all available cells
+     * @returns {*[]} an array of available cells
+     */
+    availableCells = () => {
+        const res = []
+        this.eachCell((i, j, cell) => cell || res.push({ x: i, y: j }))
+        return res
+    }
+
+    /**
+     * Calls callback for every cell
+     * @param callback {Function} the callback to call for each cell
+     */
+    eachCell = callback => {
+        for (let i = 0; i < this.size; i ++) {
+            for (let j = 0; j < this.size; j ++) {
+                callback(i, j, this.cells[i][j])
+            }
+        }
+    }
+
+    /**
+     * Returns the value of the highest tile
+     * @returns {number} the highest value, 0 on an empty grid
+     */
+    highestValue = () => {
+        let highest = 0
+        this.eachCell((i, j, cell) => cell && cell.value > highest && (highest = cell.value))
+        return highest
+    }
+
+    /**
+     * Checks if there are any cells available
+     * @returns {boolean} true if there are cells available, false otherwise
+     */
+    cellsAvailable = () => !!this.availableCells().length
+
+    /**
+     * Checks if the specified cell is available
+     * @param cell {{x: *, y: *}} the cell to check
+     * @returns {boolean} true if the cell is available, false otherwise
+     */
+    cellAvailable = cell => !this.cellOccupied(cell)
+
+    /**
+     * Checks if the specified cell is occupied
+     * @param cell {{x: *, y: *}} the cell to check
+     * @returns {boolean} true if the cell is occupied, false otherwise
+     */
+    cellOccupied = cell => !!this.cellContent(cell)
+
+    /**
+     * Returns the content of a cell
+     * @param cell {{x: *, y: *}} the cell to get the content of
+     * @returns {*|null} the content of the cell
+     */
+    cellContent = cell => this.withinBounds(cell) ? this.cells[cell.x][cell.y] : null
+
+    /**
+     * Inserts a tile at its position
+     * @param cell {{x: *, y: *}} the position of the tile
+     */
+    insertTile = cell => this.cells[cell.x][cell.y] = cell
+
+    /**
+     * Removes a tile from its position
+     * @param cell {{x: *, y: *}} the position of the tile
+     */
+    removeTile = cell => this.cells[cell.x][cell.y] = null
+
+    /**
+     * Checks if a position is within the grid bounds
+     * @param cell {{x: *, y: *}} the position to check
+     * @returns {boolean} true if the position is within the grid bounds, false otherwise
+     */
+    withinBounds = cell =>
+        cell.x >= 0 && cell.x < this.size && cell.y >= 0 && cell.y < this.size
+
+    /**
+     * Serializes the grid
+     * @returns {{cells: *[], size}} the serialized grid
+     */
+    serialize = () => {
+        const cells = []
+        for (let i = 0; i < this.size; i ++) {
+            cells[i] = []
+            for (let j = 0; j < this.size; j ++) {
+                cells[i].push(this.cells[i][j] ? this.cells[i][j].serialize() : null)
+            }
+        }
+        return { size: this.size, cells: cells }
+    }
+}
+
+class Tile {
+    /**
+     * @param position {{x: number, y: number}} the position of the tile
+     * @param value {number} the value of the tile, 2 by default for the numbers and 0 for the tiles without a value
+     * @param type {string} the kind of tile, a key of TILE_TYPES
+     */
+    constructor(position, value, type = "number") {
+        this.x = position.x
+        this.y = position.y
+        this.type = type
+        this.value = type === "number" ? value || 2 : value || 0
+        this.previousPosition = null
+        this.mergedFrom = null
+    }
+
+    /**
+     * Saves the previous position of the tile
+     */
+    savePosition = () => {
+        this.previousPosition = { x: this.x, y: this.y }
+    }
+
+    /**
+     * Updates the tile position
+     * @param newPosition {{x: *, y: *}} the new position
+     */
+    updatePosition = newPosition => {
+        this.x = newPosition.x
+        this.y = newPosition.y
+    }
+
+    /**
+     * Serializes the tile
+     * @returns {{position: {x, y}, value: (*|number), type: string}} the serialized tile
+     */
+    serialize = () => ({ position: { x: this.x, y: this.y }, value: this.value, type: this.type })
+}
+
+/**
+ * The kinds of tile: the sign their value must have, the symbol shown instead of the value of those without one,
+ * and how they behave. Walls are fixed and never merge, wildcards merge with any tile that has a value, bombs
+ * clear the cells around them when a tile runs into them, and negative numbers cancel the positive ones of the same size
+ */
+const TILE_TYPES = {
+    number: {
+        id: "number",
+        name: "Number",
+        sign: 1
+    },
+    negative: {
+        id: "negative",
+        name: "Negative",
+        sign: - 1,
+        emoji: "🟫"
+    },
+    wall: {
+        id: "wall",
+        name: "Wall",
+        sign: 0,
+        symbol: "",
+        emoji: "⬛",
+        fixed: true
+    },
+    wildcard: {
+        id: "wildcard",
+        name: "Wildcard",
+        sign: 0,
+        symbol: "★",
+        emoji: "⭐",
+        wild: true
+    },
+    bomb: {
+        id: "bomb",
+        name: "Bomb",
+        sign: 0,
+        symbol: "✹",
+        emoji: "💣",
+        blast: 1
+    }
+}
+
+/**
+ * Checks that a value suits a kind of tile
+ * @param value {*} the value
+ * @param type {*} the kind of tile
+ * @returns {boolean} true if the type is one of TILE_TYPES and the value is an integer of its sign, false otherwise
+ */
+function isTileValue(value, type) {
+    return Object.prototype.hasOwnProperty.call(TILE_TYPES, type) && Number.isInteger(value) &&
+        Math.sign(value) === TILE_TYPES[type].sign
+}
+
+/**
+ * Returns the text shown on a tile
+ * @param tile {{value: number, type: string}} the tile
+ * @returns {string} the value, or the symbol of the tiles without one
+ */
+function tileLabel(tile) {
+    const type = TILE_TYPES[tile.type]
+    return type.sign ? String(tile.value) : type.symbol
+}
+
+class SeededRandom {
+    /**
+     * @param seed {string|number} the seed the sequence is built from
+     * @param state {number} the state to resume the sequence from, defaults to the start of the sequence
+     */
+    constructor(seed, state) {
+        this.seed = String(seed)
+        this.state = state === undefined ? SeededRandom.hashSeed(this.seed) : state
+    }
+
+    /**
+     * Generates a new seed
+     * @returns {string} a random seed
+     */
+    static randomSeed = () => Math.floor(Math.random() * 0x100000000).toString(36)
+
+    /**
+     * Hashes a seed into a 32 bits state (FNV-1a)
+     * @param seed {string} the seed
+     * @returns {number} the initial state
+     */
+    static hashSeed = seed => {
+        let hash = 0x811c9dc5
+        for (let i = 0; i < seed.length; i ++) {
+            hash = Math.imul(hash ^ seed.charCodeAt(i), 0x01000193)
+        }
+        return hash >>> 0
+    }
+
+    /**
+     * Returns the next number of the sequence (mulberry32)
+     * @returns {number} a number in [0, 1)
+     */
+    next = () => {
+        this.state = (this.state + 0x6d2b79f5) >>> 0
+        let t = this.state
+        t = Math.imul(t ^ t >>> 15, t | 1)
+        t ^= t + Math.imul(t ^ t >>> 7, t | 61)
+        return ((t ^ t >>> 14) >>> 0) / 0x100000000
+    }
+}
+
+/**
+ * The ways tiles merge: how many tiles merge at once, whether their values match, the value they make and the points
+ * it scores, the value a wildcard turns a tile into, and the rank of a value, counted in merges from the smallest
+ * tiles, which gives the tile the colours of the classic tile of the same rank
+ */
+const MERGE_RULES = {
+    doubling: {
+        id: "doubling",
+        group: 2,
+        matches: ([a, b]) => a === b,
+        merged: ([a, b]) => a + b,
+        score: value => value,
+        next: value => 2 * value,
+        rank: value => Math.log2(value)
+    },
+    fibonacci: {
+        id: "fibonacci",
+        group: 2,
+        // Two ones, or two neighbours in the sequence, the larger being at most twice the smaller
+        matches: ([a, b]) => a === b ? a === 1 : Math.abs(a - b) <= Math.min(a, b),
+        merged: ([a, b]) => a + b,
+        score: value => value,
+        next: value => Math.round(value * (1 + Math.sqrt(5)) / 2),
+        rank: value => Math.round(Math.log(value * Math.sqrt(5)) / Math.log((1 + Math.sqrt(5)) / 2)) - 1
+    },
+    triples: {
+        id: "triples",
+        group: 3,
+        matches: ([a, b, c]) => a === b && b === c,
+        merged: ([a, b, c]) => a + b + c,
+        score: value => value,
+        next: value => 3 * value,
+        rank: value => Math.round(Math.log(value) / Math.log(3))
+    },
+    threes: {
+        id: "threes",
+        group: 2,
+        // A one and a two make a three, the threes and above merge with their equal
+        matches: ([a, b]) => a + b === 3 || a === b && a >= 3,
+        merged: ([a, b]) => a + b,
+        // As in Threes, each doubling from 3 is worth three times more
+        score: value => 3 ** (Math.log2(value / 3) + 1),
+        next: value => value < 3 ? 3 : 2 * value,
+        rank: value => value < 3 ? value : Math.log2(value / 3) + 3
+    }
+}
+
+/**
+ * Returns the merge rule of some rules
+ * @param rules {Object} the rules
+ * @returns {Object} one of MERGE_RULES, doubling for the rules saved before the merge rules
+ */
+function mergeRuleOf(rules) {
+    return MERGE_RULES[rules.merge || "doubling"]
+}
+
+/**
+ * The rules a game can be played with: how the tiles merge, one of MERGE_RULES, the tile to reach, the odds of
+ * each spawned value, the number of tiles on the board at the start and the message shown on reaching the target
+ */
+const RULE_PRESETS = {
+    classic: {
+        id: "classic",
+        name: "Classic",
+        merge: "doubling",
+        target: 2048,
+        spawns: [[2, .9], [4, .1]],
+        startTiles: 2,
+        winMessage: "You win!"
+    },
+    to4096: {
+        id: "to4096",
+        name: "To 4096",
+        merge: "doubling",
+        target: 4096,
+        spawns: [[2, .9], [4, .1]],
+        startTiles: 2,
+        winMessage: "4096!"
+    },
+    hard: {
+        id: "hard",
+        name: "Hard: 25% fours",
+        merge: "doubling",
+        target: 2048,
+        spawns: [[2, .75], [4, .25]],
+        startTiles: 2,
+        winMessage: "You win!"
+    },
+    easy: {
+        id: "easy",
+        name: "Easy",
+        merge: "doubling",
+        target: 1024,
+        spawns: [[2, 1]],
+        startTiles: 4,
+        winMessage: "Well done!"
+    },
+    fibonacci: {
+        id: "fibonacci",
+        name: "Fibonacci",
+        merge: "fibonacci",
+        target: 1597,
+        spawns: [[1, .9], [2, .1]],
+        startTiles: 2,
+        winMessage: "1597!"
+    },
+    triples: {
+        id: "triples",
+        name: "Powers of 3: merge three",
+        merge: "triples",
+        target: 729,
+        spawns: [[3, .9], [9, .1]],
+        startTiles: 3,
+        winMessage: "729!"
+    },
+    threes: {
+        id: "threes",
+        name: "Threes: 1 + 2",
+        merge: "threes",
+        target: 384,
+        spawns: [[1, .4], [2, .4], [3, .2]],
+        startTiles: 4,
+        winMessage: "384!"
+    }
+}
+
+/**
+ * The ways a game can end besides a full board: a time limit in milliseconds, the score made until then being
+ * what counts, or a number of moves within which to reach a target tile. The message is shown when the limit is hit.
+ * The variants add special tiles: walls placed at the start, or the odds of a spawned tile being of another type
+ */
+const GAME_MODES = {
+    endless: {
+        id: "endless",
+        name: "Endless"
+    },
+    timeAttack: {
+        id: "timeAttack",
+        name: "Time attack: 3 minutes",
+        timeLimit: 180000,
+        overMessage: "Time's up!"
+    },
+    limitedMoves: {
+        id: "limitedMoves",
+        name: "Limited: 300 moves",
+        moveLimit: 300,
+        // The 512 tile under the doubling rule, and the tile of the same rank under the others
+        targetRank: 9,
+        overMessage: "Out of moves!"
+    },
+    walls: {
+        id: "walls",
+        name: "Variant: walls",
+        walls: 2
+    },
+    wildcards: {
+        id: "wildcards",
+        name: "Variant: wildcards",
+        specials: [["wildcard", .05]]
+    },
+    bombs: {
+        id: "bombs",
+        name: "Variant: bombs",
+        specials: [["bomb", .05]]
+    },
+    negatives: {
+        id: "negatives",
+        name: "Variant: negative tiles",
+        specials: [["negative", .1]]
+    }
+}
+
+// The board sizes the players can pick
+const BOARD_SIZES = [3, 4, 5, 6, 8]
+
+class Game {
+    /**
+     * @param size {number} the board size
+     * @param random {SeededRandom} the source of the spawned tiles
+     * @param rules {Object} one of RULE_PRESETS, or rules of the same shape
+     * @param mode {Object} one of GAME_MODES, or a mode of the same shape
+     */
+    constructor(size, random, rules = RULE_PRESETS.classic, mode = GAME_MODES.endless) {
+        this.rules = rules
+        this.mode = mode
+        this.grid = new Grid(size)
+        this.random = random
+        this.score = 0
+        this.over = false
+        this.won = false
+        this.keepPlaying = false
+        this.moves = 0
+        this.timeUsed = 0
+    }
+
+    /**
+     * Builds a game from a serialized game
+     * @param state {Object} the serialized game
+     * @returns {Game} the game
+     */
+    static fromState = state => {
+        const game = new Game(state.grid.size, null)
+        game.restoreState(state)
+        return game
+    }
+
+    /**
+     * Restores the grid and the game flags from a serialized game
+     * @param state {Object} the serialized game
+     */
+    restoreState = state => {
+        this.grid = new Grid(state.grid.size, state.grid.cells)
+        this.score = state.score
+        this.over = state.over
+        this.won = state.won
+        this.keepPlaying = state.keepPlaying
+        this.rules = state.rules || RULE_PRESETS.classic
+        this.mode = state.mode || GAME_MODES.endless
+        this.moves = state.moves || 0
+        this.timeUsed = state.timeUsed || 0
+        this.random = state.seed === undefined
+            ? new SeededRandom(SeededRandom.randomSeed())
+            : new SeededRandom(state.seed, state.randomState)
+    }
+
+    /**
+     * Serializes the game
+     * @returns {{version: number, over: boolean, score: number, grid: {cells: *[], size}, won: boolean, keepPlaying: boolean, rules: Object, seed: string, randomState: number, mode: Object, moves: number, timeUsed: number}} the serialized game
+     */
+    serialize = () => ({
+        version: SAVE_VERSION,
+        grid: this.grid.serialize(),
+        score: this.score,
+        over: this.over,
+        won: this.won,
+        keepPlaying: this.keepPlaying,
+        rules: this.rules,
+        seed: this.random.seed,
+        randomState: this.random.state,
+        mode: this.mode,
+        moves: this.moves,
+        timeUsed: this.timeUsed
+    })
+
+    /**
+     * Checks if the game is over
+     * @returns {boolean} true if the game is over or out of time, false otherwise
+     */
+    isGameTerminated = () => this.over || this.timeLeft() <= 0 || this.won && !this.keepPlaying
+
+    /**
+     * Returns the tile that wins the game
+     * @returns {number} the target of the mode, given as a value or as a rank under the merge rule, or the target of the
+     * rules if the mode has none or if their tiles stop short of that rank
+     */
+    target = () => {
+        if (!this.mode.targetRank) return this.mode.target || this.rules.target
+        const rule = this.mergeRule()
+        return ruleValues(this.rules).find(value => rule.rank(value) === this.mode.targetRank) || this.rules.target
+    }
+
+    /**
+     * Returns the moves left before the game ends
+     * @returns {number} the number of moves, Infinity if the mode has no limit
+     */
+    movesLeft = () => this.mode.moveLimit ? Math.max(0, this.mode.moveLimit - this.moves) : Infinity
+
+    /**
+     * Returns the time left before the game ends
+     * @returns {number} the time in milliseconds, Infinity if the mode has no limit
+     */
+    timeLeft = () => this.mode.timeLimit ? Math.max(0, this.mode.timeLimit - this.timeUsed) : Infinity
+
+    /**
+     * Counts playing time against the time limit, ending the game once it runs out
+     * @param time {number} the time played since the last call, in milliseconds
+     */
+    elapse = time => {
+        if (this.isGameTerminated()) return
+        this.timeUsed += time
+        if (this.timeLeft() <= 0) this.over = true
+    }
+
+    /**
+     * Adds the initial tiles to the grid
+     */
+    addStartTiles = () => {
+        for (let i = 0; i < (this.mode.walls || 0); i ++)
+            this.grid.insertTile(new Tile(this.grid.randomAvailableCell(this.random.next), 0, "wall"))
+        for (let i = 0; i < this.rules.startTiles; i ++)
+            this.addRandomTile()
+    }
+
+    /**
+     * Adds a tile in a random position
+     * @returns {Tile|undefined} the added tile, if there was room for it
+     */
+    addRandomTile = () => {
+        if (this.grid.cellsAvailable()) {
+            const tileType = this.randomTileType()
+            const sign = TILE_TYPES[tileType].sign
+            const tileValue = sign ? sign * this.randomTileValue() : 0
+            const tile = new Tile(this.grid.randomAvailableCell(this.random.next), tileValue, tileType)
+            this.grid.insertTile(tile)
+            return tile
+        }
+    }
+
+    /**
+     * Picks the type of a spawned tile according to the odds of the mode
+     * @returns {string} the tile type, a key of TILE_TYPES
+     */
+    randomTileType = () => {
+        // The modes without special tiles draw nothing, keeping the spawns of their seeds as they were
+        if (!this.mode.specials) return "number"
+        const draw = this.random.next()
+        let odds = 0
+        for (const [type, probability] of this.mode.specials) {
+            odds += probability
+            if (draw < odds) return type
+        }
+        return "number"
+    }
+
+    /**
+     * Picks the value of a spawned tile according to the odds of the rules
+     * @returns {number} the tile value
+     */
+    randomTileValue = () => {
+        const draw = this.random.next()
+        let odds = 0
+        for (const [value, probability] of this.rules.spawns) {
+            odds += probability
+            if (draw < odds) return value
+        }
+        return this.rules.spawns[this.rules.spawns.length - 1][0]
+    }
+
+    /**
+     * Prepares the game to be serialized
+     */
+    prepareTiles = () => {
+        this.grid.eachCell((i, j, cell) => {
+            if (cell) {
+                cell.mergedFrom = null
+                cell.savePosition()
+            }
+        })
+    }
+
+    /**
+     * Moves a tile and its representation
+     * @param initialPosition {{x: *, y: *}} the initial position
+     * @param newPosition {{x: *, y: *}} the new position
+     */
+    moveTile = (initialPosition, newPosition) => {
+        this.grid.cells[initialPosition.x][initialPosition.y] = null
+        this.grid.cells[newPosition.x][newPosition.y] = initialPosition
+        initialPosition.updatePosition(newPosition)
+    }
+
+    /**
+     * Performs a move for the given direction
+     * @param key {0|1|2|3} the direction
+     * @param spawn {{x: number, y: number, value: number, type: ?string}} the tile to add after the move, random by default
+     * @returns {{moved: boolean, scoreDelta: number, merges: {x: number, y: number, value: number, from: {x: number, y: number}[]}[], spawn: ?{x: number, y: number, value: number, type: string}}} what the move did,
+     * the merges of value 0 being tiles that cleared each other
+     */
+    move = (key, spawn = null) => {
+        if (this.isGameTerminated()) {
+            return { moved: false, scoreDelta: 0, merges: [], spawn: null }
+        }
+        const result = this.slide(key)
+        if (result.moved) {
+            let tile
+            if (spawn) {
+                tile = new Tile(spawn, spawn.value, spawn.type)
+                this.grid.insertTile(tile)
+            } else {
+                tile = this.addRandomTile()
+            }
+            result.spawn = tile ? { x: tile.x, y: tile.y, value: tile.value, type: tile.type } : null
+            this.moves ++
+            if (!this.movesAvailable() || this.movesLeft() <= 0) {
+                this.over = true
+            }
+        }
+        return result
+    }
+
+    /**
+     * Slides and merges the tiles in the given direction, without adding a tile afterwards
+     * @param key {0|1|2|3} the direction
+     * @returns {{moved: boolean, scoreDelta: number, merges: {x: number, y: number, value: number, from: {x: number, y: number}[]}[], spawn: null}} what the slide did
+     */
+    slide = key => {
+        const result = { moved: false, scoreDelta: 0, merges: [], spawn: null }
+        let traversal
+        let oldCellContent
+        const vector = this.getVector(key)
+        const traversals = this.buildTraversals(vector)
+        this.prepareTiles()
+        traversals.x.forEach(traversalX => {
+            traversals.y.forEach(traversalY => {
+                traversal = { x: traversalX, y: traversalY }
+                oldCellContent = this.grid.cellContent(traversal)
+                if (oldCellContent && !TILE_TYPES[oldCellContent.type].fixed) {
+                    const farthestPosition = this.findFarthestPosition(traversal, vector)
+                    const ahead = this.tilesAhead(farthestPosition.next, vector, true)
+                    const merge = ahead.length > 0 && this.mergeResult(oldCellContent, ahead)
+                    if (merge) {
+                        // The tiles merge into the farthest of them
+                        const last = merge.merged[merge.merged.length - 1]
+                        const position = { x: last.x, y: last.y }
+                        const from = [traversal].concat(merge.merged.map(tile => ({ x: tile.x, y: tile.y })))
+                        this.grid.removeTile(oldCellContent)
+                        merge.merged.forEach(tile => this.grid.removeTile(tile))
+                        oldCellContent.updatePosition(position)
+                        merge.merged.forEach(tile => tile.updatePosition(position))
+                        if (merge.value) {
+                            const newTile = new Tile(position, merge.value, merge.value > 0 ? "number" : "negative")
+                            newTile.mergedFrom = [oldCellContent].concat(merge.merged)
+                            this.grid.insertTile(newTile)
+                        } else if (merge.blast) {
+                            this.explode(position, merge.blast)
+                        }
+                        const points = merge.value > 0 ? this.mergeRule().score(merge.value) : 0
+                        this.score += points
+                        result.scoreDelta += points
+                        result.merges.push({ x: position.x, y: position.y, value: merge.value, from: from })
+                        if (this.target() === merge.value) this.won = true
+                    } else this.moveTile(oldCellContent, farthestPosition.farthest)
+                    if (!this.positionsEqual(traversal, oldCellContent)) result.moved = true
+                }
+            })
+        })
+        return result
+    }
+
+    /**
+     * Returns the way the tiles merge
+     * @returns {Object} one of MERGE_RULES
+     */
+    mergeRule = () => mergeRuleOf(this.rules)
+
+    /**
+     * Lists the tiles lined up from a position, as many as can merge with a tile running into them
+     * @param position {{x: number, y: number}} the position of the first tile
+     * @param vector {{x: number, y: number}} the direction of the line
+     * @param unmerged {boolean} true to stop at the tiles that already merged during the move
+     * @returns {Tile[]} the tiles, nearest first, up to the first empty cell
+     */
+    tilesAhead = (position, vector, unmerged) => {
+        const tiles = []
+        let tile = this.grid.cellContent(position)
+        while (tile && !(unmerged && tile.mergedFrom) && tiles.length < this.mergeRule().group - 1) {
+            tiles.push(tile)
+            tile = this.grid.cellContent({ x: tile.x + vector.x, y: tile.y + vector.y })
+        }
+        return tiles
+    }
+
+    /**
+     * Works out what a tile running into the tiles in front of it turns into
+     * @param tile {Tile} the moving tile
+     * @param ahead {Tile[]} the tiles in its way, nearest first, at least one
+     * @returns {?{value: number, blast: number, merged: Tile[]}} the value of the merged tile, 0 when the tiles are
+     * cleared, the reach of the explosion when a bomb goes off, and the tiles ahead that merge with the moving one;
+     * null when the tiles do not merge
+     */
+    mergeResult = (tile, ahead) => {
+        const next = ahead[0]
+        const rule = this.mergeRule()
+        const types = [TILE_TYPES[tile.type], TILE_TYPES[next.type]]
+        if (types.some(type => type.fixed)) return null
+        const blast = Math.max(...types.map(type => type.blast || 0))
+        if (blast) return { value: 0, blast: blast, merged: [next] }
+        if (types[0].wild || types[1].wild) {
+            // A wildcard makes up for whatever the other tile needs, two wildcards have no value to make
+            const value = tile.value || next.value
+            return value ? { value: Math.sign(value) * rule.next(Math.abs(value)), blast: 0, merged: [next] } : null
+        }
+        if (tile.type !== next.type) {
+            return tile.value === - next.value ? { value: 0, blast: 0, merged: [next] } : null
+        }
+        const group = [tile].concat(ahead).slice(0, rule.group)
+        if (group.length < rule.group || group.some(other => other.type !== tile.type)) return null
+        const values = group.map(other => Math.abs(other.value))
+        return rule.matches(values)
+            ? { value: Math.sign(tile.value) * rule.merged(values), blast: 0, merged: group.slice(1) }
+            : null
+    }
+
+    /**
+     * Clears the tiles around a position, except the fixed ones
+     * @param position {{x: number, y: number}} the center of the explosion
+     * @param reach {number} the number of cells cleared on each side of the center
+     */
+    explode = (position, reach) => {
+        this.grid.eachCell((x, y, cell) => {
+            if (cell && !TILE_TYPES[cell.type].fixed && Math.abs(x - position.x) <= reach &&
+                Math.abs(y - position.y) <= reach) {
+                this.grid.removeTile(cell)
+            }
+        })
+    }
+
+    /**
+     * Gets the vector for the given direction
+     * @param key {0|1|2|3} the direction
+     * @returns {{x: *, y: *}} the vector
+     */
+    getVector = key => {
+        return {
+            0: { x: 0, y: - 1 },
+            1: { x: 1, y: 0 },
+            2: { x: 0, y: 1 },
+            3: { x: - 1, y: 0 }
+        }[key]
+    }
+
+    /**
+     * Builds the traversals for the given vector
+     * @param vector {{x: *, y: *}} the vector
+     * @returns {{x: *[], y: *[]}} the traversals
+     */
+    buildTraversals = vector => {
+        const traversals = { x: [], y: [] }
+        for (let i = 0; i < this.grid.size; i ++) {
+            traversals.x.push(i)
+            traversals.y.push(i)
+        }
+        1 === vector.x && (traversals.x = traversals.x.reverse())
+        1 === vector.y && (traversals.y = traversals.y.reverse())
+        return traversals
+    }
+
+    /**
+     * Finds the farthest position for a tile in a given direction
+     * and returns the farthest position and the next position
+     * @param cell {{x: *, y: *}} the cell
+     * @param vector {{x: *, y: *}} the direction vector
+     * @returns {{next: {x: *, y: *}, farthest}} the farthest position and the next position
+     */
+    findFarthestPosition = (cell, vector) => {
+        let res
+        do {
+            cell = { x: (res = cell).x + vector.x, y: res.y + vector.y }
+        } while (this.grid.withinBounds(cell) && this.grid.cellAvailable(cell))
+        return { farthest: res, next: cell }
+    }
+
+    /**
+     * Checks if there are still moves available, trying each direction on a copy of the game. Walls can box in an
+     * empty cell, so a board with room left may still have nowhere to go
+     * @returns {boolean} true if there are still moves available, false otherwise
+     */
+    movesAvailable = () => [0, 1, 2, 3].some(key => Game.fromState(this.serialize()).slide(key).moved)
+
+    /**
+     * Checks if two positions are equal
+     * @param cell1 {{x: *, y: *}} the first position
+     * @param cell2 {{x: *, y: *}} the second position
+     * @returns {boolean} true if the positions are equal, false otherwise
+     */
+    positionsEqual = (cell1, cell2) => cell1.x === cell2.x && cell1.y === cell2.y
+}
+
+// The version of the serialized games, to bump with a new migration whenever their shape changes
+const SAVE_VERSION = 4
+
+/**
+ * Upgrades a serialized game from each version to the next one
+ */
+const SAVE_MIGRATIONS = {
+    // Version 1 had no version number, and games saved before the seeds and the rule presets lack them
+    1: state => {
+        const seed = state.seed === undefined ? SeededRandom.randomSeed() : String(state.seed)
+        return Object.assign({}, state, {
+            version: 2,
+            rules: state.rules || RULE_PRESETS.classic,
+            seed: seed,
+            randomState: state.randomState === undefined ? SeededRandom.hashSeed(seed) : state.randomState
+        })
+    },
+    // Version 2 had no game modes, every game was endless
+    2: state => Object.assign({}, state, { version: 3, mode: GAME_MODES.endless, moves: 0, timeUsed: 0 }),
+    // Version 3 had numbers only, the tiles had no type
+    3: state => Object.assign({}, state, {
+        version: 4,
+        grid: Object.assign({}, state.grid, {
+            cells: state.grid.cells.map(column => column.map(tile => tile && Object.assign({ type: "number" }, tile)))
+        })
+    })
+}
+
+/**
+ * Checks that a serialized game of the current version is well formed
+ * @param state {*} the serialized game
+ * @returns {boolean} true if the game can be restored, false otherwise
+ */
+function isValidSave(state) {
+    if (!state || typeof state !== "object" || !state.grid || !Number.isInteger(state.grid.size) ||
+        state.grid.size < 2 || state.grid.size > 16 || !Array.isArray(state.grid.cells) ||
+        state.grid.cells.length !== state.grid.size) {
+        return false
+    }
+    const isTile = (tile, x, y) => tile === null || !!tile && !!tile.position && tile.position.x === x &&
+        tile.position.y === y && isTileValue(tile.value, tile.type)
+    return state.grid.cells.every((column, x) => Array.isArray(column) && column.length === state.grid.size &&
+            column.every((tile, y) => isTile(tile, x, y))) &&
+        Number.isFinite(state.score) && state.score >= 0 &&
+        ["over", "won", "keepPlaying"].every(flag => typeof state[flag] === "boolean") &&
+        isValidRules(state.rules) &&
+        typeof state.seed === "string" && Number.isInteger(state.randomState) &&
+        isValidMode(state.mode) &&
+        Number.isInteger(state.moves) && state.moves >= 0 && Number.isFinite(state.timeUsed) && state.timeUsed >= 0
+}
+
+/**
+ * Checks that rules, like the ones of a save or a recording, can be played
+ * @param rules {*} the rules to check
+ * @returns {boolean} true if the rules are of the shape of RULE_PRESETS, false otherwise
+ */
+function isValidRules(rules) {
+    return !!rules && Number.isInteger(rules.target) && Number.isInteger(rules.startTiles) &&
+        (rules.merge === undefined || Object.keys(MERGE_RULES).includes(rules.merge)) &&
+        Array.isArray(rules.spawns) && rules.spawns.length > 0 &&
+        rules.spawns.every(spawn => Array.isArray(spawn) && Number.isInteger(spawn[0]) && spawn[0] > 0 &&
+            Number.isFinite(spawn[1]))
+}
+
+/**
+ * Checks that a mode, like the one of a save or a recording, can be played
+ * @param mode {*} the mode to check
+ * @returns {boolean} true if the mode is of the shape of GAME_MODES, false otherwise
+ */
+function isValidMode(mode) {
+    return !!mode && typeof mode.id === "string" &&
+        ["timeLimit", "moveLimit", "target", "targetRank", "walls"].every(limit => mode[limit] === undefined ||
+            Number.isInteger(mode[limit]) && mode[limit] > 0) &&
+        (mode.specials === undefined || Array.isArray(mode.specials) && mode.specials.every(special =>
+            Array.isArray(special) && Object.keys(TILE_TYPES).includes(special[0]) &&
+            Number.isFinite(special[1])))
+}
+
+/**
+ * Reads a serialized game of any version, migrating it to the current one
+ * @param data {string|Object} the serialized game, or its JSON
+ * @returns {?Object} the serialized game in the current version, null if it is malformed or from a newer version
+ */
+function readSave(data) {
+    let state = data
+    if (typeof data === "string") {
+        try {
+            state = JSON.parse(data)
+        } catch (e) {
+            return null
+        }
+    }
+    if (!state || typeof state !== "object") return null
+    let version = state.version === undefined ? 1 : state.version
+    if (!Number.isInteger(version) || version < 1 || version > SAVE_VERSION) return null
+    try {
+        for (; version < SAVE_VERSION; version ++) {
+            state = SAVE_MIGRATIONS[version](state)
+        }
+    } catch (e) {
+        // Malformed data can break a migration
+        return null
+    }
+    return isValidSave(state) ? state : null
+}
+
+/**
+ * Starts a new game
+ * @param size {number} the board size
+ * @param seed {string} the seed of the spawned tiles, random by default
+ * @param rules {Object} the rules of the game, classic by default
+ * @param mode {Object} the mode of the game, endless by default
+ * @returns {Object} the serialized game
+ */
+function newGame(size, seed = SeededRandom.randomSeed(), rules = RULE_PRESETS.classic, mode = GAME_MODES.endless) {
+    const game = new Game(size, new SeededRandom(seed), rules, mode)
+    game.addStartTiles()
+    return game.serialize()
+}
+
+/**
+ * Plays a move on a serialized game, leaving it untouched
+ * @param state {Object} the serialized game
+ * @param direction {0|1|2|3} the direction
+ * @param spawn {{x: number, y: number, value: number, type: ?string}} the tile to add after the move, random by default
+ * @returns {{state: Object, moved: boolean, scoreDelta: number, merges: Object[], spawn: ?Object}} the serialized
+ * game after the move and what the move did
+ */
+function step(state, direction, spawn = null) {
+    const game = Game.fromState(state)
+    const result = game.move(direction, spawn)
+    return Object.assign({ state: game.serialize() }, result)
+}
+
+/**
+ * Returns the seed of the daily challenge, the same for every player on a given day
+ * @param date {string} the day, as YYYY-MM-DD
+ * @returns {string} the seed
+ */
+function dailySeed(date) {
+    return "daily-" + date
+}
+
+/**
+ * Returns the day of the daily challenge being played. The days are UTC ones, so that every player is on the same
+ * challenge at the same time, wherever they are
+ * @param time {Date} the time, now by default
+ * @returns {string} the day, as YYYY-MM-DD
+ */
+function dailyToday(time = new Date()) {
+    return time.toISOString().slice(0, 10)
+}
+
+/**
+ * Returns the day of a daily challenge seed
+ * @param seed {string} the seed
+ * @returns {?string} the day, as YYYY-MM-DD, null when the seed is not the one of a daily challenge
+ */
+function dailyDate(seed) {
+    const match = /^daily-(\d{4}-\d{2}-\d{2})$/.exec(seed)
+    return match && match[1]
+}
+
+/**
+ * Returns the values a tile can take under some rules, the ones the board editor cycles through
+ * @param rules {Object} the rules
+ * @returns {number[]} the values from the smallest spawned one up to the target, in increasing order
+ */
+function ruleValues(rules) {
+    const rule = mergeRuleOf(rules)
+    const values = rules.spawns.map(spawn => spawn[0]).sort((a, b) => a - b)
+    while (values[values.length - 1] < rules.target) values.push(rule.next(values[values.length - 1]))
+    return values
+}
+
+/**
+ * Returns the mode checking the goal of a puzzle
+ * @param goal {?{target: ?number, moves: ?number}} the tile to make and the number of moves allowed, either can be missing
+ * @returns {Object} a mode of the same shape as GAME_MODES
+ */
+function puzzleMode(goal) {
+    if (!goal || !goal.target && !goal.moves) return { id: "puzzle", name: "Puzzle" }
+    const moves = goal.moves ? goal.moves + (goal.moves === 1 ? " move" : " moves") : ""
+    const mode = {
+        id: "puzzle",
+        name: goal.target ? "Make " + goal.target + (moves && " in " + moves) : moves,
+        overMessage: goal.target ? "Puzzle failed!" : "Out of moves!"
+    }
+    if (goal.target) mode.target = goal.target
+    if (goal.moves) mode.moveLimit = goal.moves
+    return mode
+}
+
+/**
+ * Sets up the game of a puzzle
+ * @param puzzle {{size: number, rules: string, seed: string, score: number, tiles: Array[], goal: ?Object}} the
+ * puzzle, with the key of its rules in RULE_PRESETS and its tiles as [x, y, value, type]
+ * @returns {Game} the game, before its first move
+ */
+function puzzleGame(puzzle) {
+    const game = new Game(puzzle.size, new SeededRandom(puzzle.seed), RULE_PRESETS[puzzle.rules], puzzleMode(puzzle.goal))
+    puzzle.tiles.forEach(([x, y, value, type]) => game.grid.insertTile(new Tile({ x: x, y: y }, value, type)))
+    game.score = puzzle.score
+    game.over = !game.movesAvailable()
+    return game
+}
+
+/**
+ * Encodes a puzzle to share it in the hash of a link
+ * @param puzzle {Object} the puzzle
+ * @returns {string} the puzzle as JSON, in base64url
+ */
+function encodePuzzle(puzzle) {
+    return btoa(JSON.stringify(puzzle)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "")
+}
+
+/**
+ * Decodes a puzzle shared in a link
+ * @param code {string} the puzzle, as given by encodePuzzle
+ * @returns {?Object} the puzzle, null if it is malformed
+ */
+function decodePuzzle(code) {
+    let puzzle
+    try {
+        puzzle = JSON.parse(atob(code.replace(/-/g, "+").replace(/_/g, "/")))
+    } catch (e) {
+        return null
+    }
+    const inBounds = n => Number.isInteger(n) && n >= 0 && n < puzzle.size
+    const isTile = tile => Array.isArray(tile) && inBounds(tile[0]) && inBounds(tile[1]) &&
+        isTileValue(tile[2], tile[3] === undefined ? "number" : tile[3])
+    if (!puzzle || typeof puzzle !== "object" || !BOARD_SIZES.includes(puzzle.size) ||
+        !Object.keys(RULE_PRESETS).includes(puzzle.rules) || typeof puzzle.seed !== "string" ||
+        !Array.isArray(puzzle.tiles) || !puzzle.tiles.length || !puzzle.tiles.every(isTile) ||
+        typeof puzzle.goal !== "object") {
+        return null
+    }
+    // A second tile on a cell would replace the first one
+    if (new Set(puzzle.tiles.map(([x, y]) => x + "," + y)).size !== puzzle.tiles.length) {
+        return null
+    }
+    return isValidSave(puzzleGame(puzzle).serialize()) ? puzzle : null
+}
+
+// The square drawn for a tile, from the highest values down
+const EMOJI_TILES = [[2048, "🟩"], [512, "🟦"], [128, "🟪"], [32, "🟥"], [8, "🟧"], [2, "🟨"]]
+
+/**
+ * Draws a board with coloured squares, to share a result without giving the tiles away
+ * @param grid {{size: number, cells: *[]}} the serialized grid
+ * @returns {string} a line of squares for each row
+ */
+function emojiBoard(grid) {
+    const lines = []
+    for (let y = 0; y < grid.size; y ++) {
+        let line = ""
+        for (let x = 0; x < grid.size; x ++) {
+            const cell = grid.cells[x][y]
+            const special = cell && TILE_TYPES[cell.type || "number"].emoji
+            const tile = cell && EMOJI_TILES.find(([value]) => cell.value >= value)
+            line += special || (tile ? tile[1] : "⬜")
+        }
+        lines.push(line)
+    }
+    return lines.join("\n")
+}
+
+/**
+ * Formats a serialized game as text, one line per row of the board
+ * @param state {Object} the serialized game
+ * @returns {string} the board and the score
+ */
+function formatBoard(state) {
+    const size = state.grid.size
+    const width = Math.max(4, ...state.grid.cells.flat().map(cell => cell ? tileLabel(cell).length : 0))
+    const lines = []
+    for (let y = 0; y < size; y ++) {
+        const row = []
+        for (let x = 0; x < size; x ++) {
+            const cell = state.grid.cells[x][y]
+            // Walls show nothing on the page
+            row.push((cell ? tileLabel(cell) || "#" : ".").padStart(width))
+        }
+        lines.push(row.join(" "))
+    }
+    lines.push("Score: " + state.score + (state.over ? " (game over)" : state.won ? " (won)" : ""))
+    return lines.join("\n")
+}
+
+/**
+ * Plays a game from the command line:
+ * node game-core.js [--size 4] [--seed abc] [--rules classic] [--mode endless] up right down left ...
+ * @param args {string[]} the command line arguments
+ */
+function runCommandLine(args) {
+    const directions = { up: 0, right: 1, down: 2, left: 3, u: 0, r: 1, d: 2, l: 3 }
+    let size = 4
+    let seed = SeededRandom.randomSeed()
+    let rules = RULE_PRESETS.classic
+    let mode = GAME_MODES.endless
+    const moves = []
+    for (let i = 0; i < args.length; i ++) {
+        if (args[i] === "--size") {
+            size = parseInt(args[++ i], 10)
+        } else if (args[i] === "--seed") {
+            seed = args[++ i]
+        } else if (args[i] === "--rules" && args[i + 1] in RULE_PRESETS) {
+            rules = RULE_PRESETS[args[++ i]]
+        } else if (args[i] === "--mode" && args[i + 1] in GAME_MODES) {
+            mode = GAME_MODES[args[++ i]]
+        } else if (args[i].toLowerCase() in directions) {
+            moves.push(directions[args[i].toLowerCase()])
+        } else {
+            console.error("Unknown argument: " + args[i])
+            console.error("Usage: node game-core.js [--size 4] [--seed abc] [--rules " +
+                Object.keys(RULE_PRESETS).join("|") + "] [--mode " + Object.keys(GAME_MODES).join("|") +
+                "] up right down left ...")
+            process.exitCode = 1
+            return
+        }
+    }
+    let state = newGame(size, seed, rules, mode)
+    console.log("Seed: " + seed + "\n" + formatBoard(state))
+    moves.forEach(direction => {
+        const result = step(state, direction)
+        state = result.state
+        console.log("\n" + Object.keys(directions)[direction] + (result.moved ? " +" + result.scoreDelta : " (no move)"))
+        console.log(formatBoard(state))
+    })
+}
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        Grid, Tile, TILE_TYPES, SeededRandom, MERGE_RULES, mergeRuleOf, RULE_PRESETS, GAME_MODES, BOARD_SIZES, Game,
+        SAVE_VERSION, isTileValue, tileLabel, isValidRules, isValidMode, isValidSave, readSave, newGame, step, dailySeed,
+        dailyToday, dailyDate, ruleValues, puzzleMode, puzzleGame, encodePuzzle, decodePuzzle, emojiBoard, formatBoard
+    }
+    if (require.main === module) {
+        runCommandLine(process.argv.slice(2))
+    }
+}
@@ -0,0 +1,205 @@
+// Tests of the rules of the game, with nothing to install:
+// node game-core.test.js
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { execFileSync, spawnSync } = require("node:child_process")
+const {
+    Tile, Game, SeededRandom, RULE_PRESETS, GAME_MODES, step, ruleValues, newGame, SAVE_VERSION, readSave, encodePuzzle,
+    decodePuzzle, puzzleGame
+} = require("./game-core.js")
+
+const RIGHT = 1
+const LEFT = 3
+
+/**
+ * Sets up a game on a board given row by row
+ * @param rows {Array[]} the rows, top first, with 0 for an empty cell, a value for a number or [value, type]
+ * @param rules {Object} the rules
+ * @param mode {Object} the mode
+ * @returns {Game} the game
+ */
+function gameOf(rows, rules = RULE_PRESETS.classic, mode = GAME_MODES.endless) {
+    const game = new Game(rows.length, new SeededRandom("test"), rules, mode)
+    rows.forEach((row, y) => row.forEach((cell, x) => {
+        const [value, type] = Array.isArray(cell) ? cell : [cell, "number"]
+        if (value || type !== "number") game.grid.insertTile(new Tile({ x: x, y: y }, value, type))
+    }))
+    return game
+}
+
+/**
+ * Reads the first row of a game
+ * @param game {Game} the game
+ * @returns {Array} the value of each cell, or the type for the tiles without one, null for the empty cells
+ */
+function firstRow(game) {
+    return game.grid.cells.map(column => column[0] && (column[0].value || column[0].type))
+}
+
+test("a step leaves the state it is given unchanged", () => {
+    const state = gameOf([[2, 2, 4, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]]).serialize()
+    const copy = JSON.parse(JSON.stringify(state))
+    const result = step(state, LEFT)
+    assert.deepEqual(state, copy)
+    assert.notEqual(result.state, state)
+})
+
+test("a step returns the moves, the score, the merges and the spawn", () => {
+    const state = gameOf([[2, 2, 4, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]]).serialize()
+    const result = step(state, LEFT, { x: 3, y: 3, value: 2, type: "number" })
+    assert.equal(result.moved, true)
+    assert.equal(result.scoreDelta, 4)
+    assert.deepEqual(result.merges, [{ x: 0, y: 0, value: 4, from: [{ x: 1, y: 0 }, { x: 0, y: 0 }] }])
+    assert.deepEqual(result.spawn, { x: 3, y: 3, value: 2, type: "number" })
+    assert.deepEqual(firstRow(Game.fromState(result.state)), [4, 4, null, null])
+    assert.equal(result.state.grid.cells[3][3].value, 2)
+    assert.equal(result.state.score, 4)
+    assert.equal(result.state.moves, 1)
+})
+
+test("a step spawns a random tile from the seed, on an empty cell", () => {
+    const state = gameOf([[2, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]]).serialize()
+    const result = step(state, RIGHT)
+    assert.deepEqual(step(state, RIGHT).spawn, result.spawn)
+    assert.ok(result.spawn && !(result.spawn.x === 3 && result.spawn.y === 0))
+    assert.equal(result.state.grid.cells[result.spawn.x][result.spawn.y].value, result.spawn.value)
+})
+
+test("a step that moves nothing adds no tile", () => {
+    const state = gameOf([[2, 4, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]]).serialize()
+    const result = step(state, LEFT)
+    assert.equal(result.moved, false)
+    assert.equal(result.scoreDelta, 0)
+    assert.deepEqual(result.merges, [])
+    assert.equal(result.spawn, null)
+    assert.deepEqual(result.state, state)
+})
+
+test("the command line plays the moves it is given", () => {
+    const output = execFileSync(process.execPath, [__dirname + "/game-core.js", "--seed", "abc", "left", "up"],
+        { encoding: "utf8" })
+    assert.match(output, /^Seed: abc\n/)
+    assert.match(output, /\nleft( \+\d+| \(no move\))\n/)
+    assert.match(output, /\nup( \+\d+| \(no move\))\n/)
+    assert.equal(output, execFileSync(process.execPath, [__dirname + "/game-core.js", "--seed", "abc", "l", "u"],
+        { encoding: "utf8" }))
+})
+
+test("the command line rejects unknown arguments", () => {
+    const result = spawnSync(process.execPath, [__dirname + "/game-core.js", "sideways"], { encoding: "utf8" })
+    assert.equal(result.status, 1)
+    assert.match(result.stderr, /Unknown argument: sideways/)
+})
+
+test("walls stay in place and block the tiles", () => {
+    const game = gameOf([[0, [0, "wall"], 2, 2], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]])
+    game.slide(LEFT)
+    assert.deepEqual(firstRow(game), [null, "wall", 4, null])
+})
+
+test("the game ends when the only empty cell is boxed in by walls", () => {
+    const W = [0, "wall"]
+    const game = gameOf([[0, W, 2, 4], [W, 2, 4, 2], [2, 4, 2, 4], [2, 4, 2, 0]])
+    assert.ok(game.movesAvailable())
+    game.move(RIGHT, { x: 0, y: 3, value: 4, type: "number" })
+    assert.ok(game.grid.cellsAvailable())
+    assert.equal(game.movesAvailable(), false)
+    assert.ok(game.over)
+})
+
+test("a wildcard turns into the next value of the tile it meets", () => {
+    const game = gameOf([[4, [0, "wildcard"], 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]])
+    game.slide(LEFT)
+    assert.deepEqual(firstRow(game), [8, null, null, null])
+})
+
+test("a bomb clears the tiles around the one it meets", () => {
+    const game = gameOf([[8, [0, "bomb"], 0, 0], [2, 0, 0, 0], [0, 0, 4, 0], [0, 0, 0, 0]])
+    game.slide(LEFT)
+    assert.equal(game.grid.cellContent({ x: 0, y: 0 }), null)
+    assert.equal(game.grid.cellContent({ x: 0, y: 1 }), null)
+    assert.equal(game.grid.cellContent({ x: 0, y: 2 }).value, 4)
+})
+
+test("a negative tile and a number of the same size clear each other", () => {
+    const game = gameOf([[2, [- 2, "negative"], 0, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]])
+    const result = game.slide(LEFT)
+    assert.deepEqual(firstRow(game), [null, null, null, null])
+    assert.equal(result.scoreDelta, 0)
+})
+
+test("the doubling rule merges pairs of equal tiles once per move", () => {
+    const game = gameOf([[2, 2, 4, 0], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]])
+    const result = game.slide(LEFT)
+    assert.deepEqual(firstRow(game), [4, 4, null, null])
+    assert.equal(result.scoreDelta, 4)
+})
+
+test("the Fibonacci rule merges neighbours of the sequence", () => {
+    const game = gameOf([[1, 1, 2, 3], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]], RULE_PRESETS.fibonacci)
+    game.slide(LEFT)
+    assert.deepEqual(firstRow(game), [2, 5, null, null])
+    assert.deepEqual(ruleValues(RULE_PRESETS.fibonacci).slice(0, 6), [1, 2, 3, 5, 8, 13])
+})
+
+test("the powers of 3 rule needs three equal tiles", () => {
+    const game = gameOf([[3, 3, 3, 0], [3, 3, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]], RULE_PRESETS.triples)
+    game.slide(LEFT)
+    assert.deepEqual(firstRow(game), [9, null, null, null])
+    assert.equal(game.grid.cellContent({ x: 1, y: 1 }).value, 3)
+})
+
+test("the Threes rule adds 1 and 2, then doubles from 3", () => {
+    const game = gameOf([[1, 2, 3, 3], [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]], RULE_PRESETS.threes)
+    game.slide(LEFT)
+    assert.deepEqual(firstRow(game), [3, 6, null, null])
+})
+
+test("the limited moves mode aims at a tile every merge rule reaches", () => {
+    const targets = Object.values(RULE_PRESETS).map(rules => new Game(4, new SeededRandom("test"), rules,
+        GAME_MODES.limitedMoves).target())
+    Object.values(RULE_PRESETS).forEach((rules, i) => assert.ok(ruleValues(rules).includes(targets[i]), rules.id))
+    assert.equal(new Game(4, new SeededRandom("test"), RULE_PRESETS.classic, GAME_MODES.limitedMoves).target(), 512)
+})
+
+test("a game is over once its time is up, even if it was not marked so", () => {
+    const state = newGame(4, "test", RULE_PRESETS.classic, GAME_MODES.timeAttack)
+    const game = Game.fromState(Object.assign({}, state, { timeUsed: GAME_MODES.timeAttack.timeLimit }))
+    assert.ok(game.isGameTerminated())
+    assert.equal(game.move(LEFT).moved, false)
+})
+
+test("the same seed gives the same start tiles", () => {
+    assert.deepEqual(newGame(4, "abc").grid, newGame(4, "abc").grid)
+})
+
+test("saves of the first version are migrated to the current one", () => {
+    const cells = [[{ position: { x: 0, y: 0 }, value: 2 }, null], [null, null]]
+    const state = readSave({ grid: { size: 2, cells: cells }, score: 4, over: false, won: false, keepPlaying: false })
+    assert.equal(state.version, SAVE_VERSION)
+    assert.equal(state.grid.cells[0][0].type, "number")
+    assert.equal(state.mode.id, "endless")
+    assert.equal(state.rules.id, "classic")
+    assert.equal(readSave("{not json"), null)
+    assert.equal(readSave(Object.assign({}, state, { version: SAVE_VERSION + 1 })), null)
+})
+
+test("puzzles go through their links unchanged and check their goal", () => {
+    const puzzle = { size: 4, rules: "classic", seed: "test", score: 100, tiles: [[0, 0, 256], [1, 0, 256]],
+        goal: { target: 512, moves: 1 } }
+    assert.deepEqual(decodePuzzle(encodePuzzle(puzzle)), puzzle)
+    const game = puzzleGame(puzzle)
+    game.move(LEFT)
+    assert.ok(game.won)
+    assert.equal(game.score, 612)
+})
+
+test("malformed puzzle links are rejected", () => {
+    const puzzle = { size: 4, rules: "classic", seed: "test", score: 0, tiles: [[0, 0, 2]], goal: null }
+    assert.equal(decodePuzzle("%%%"), null)
+    assert.equal(decodePuzzle(encodePuzzle(Object.assign({}, puzzle, { size: 7 }))), null)
+    assert.equal(decodePuzzle(encodePuzzle(Object.assign({}, puzzle, { tiles: [[0, 0, 2], [0, 0, 4]] }))), null)
+    assert.equal(decodePuzzle(encodePuzzle(Object.assign({}, puzzle, { tiles: [[0, 0, 2.5]] }))), null)
+    assert.equal(decodePuzzle(encodePuzzle(Object.assign({}, puzzle, { rules: "toString" }))), null)
+})
@@ -1,15 +1,18 @@
 class KeyboardInputManager {
-    constructor() {
+    /**
+     * @param bindings {?Object<string, string[]>} the keys bound to each action, the default ones if missing
+     * @param options {{minSwipeDistance: number, minSwipeVelocity: number, controls: boolean}} the distance in pixels a
+     * swipe or a mouse drag must exceed and its minimum speed in pixels per millisecond, the default ones if missing,
+     * and whether the buttons and swipes of the page fire events too, or only the keys
+     */
+    constructor(bindings = null, options = {}) {
         this.events = {}
-        if (window.navigator.msPointerEnabled) {
-            this.eventTouchstart = "MSPointerDown"
-            this.eventTouchmove = "MSPointerMove"
-            this.eventTouchend = "MSPointerUp"
-        } else {
-            this.eventTouchstart = "touchstart"
-            this.eventTouchmove = "touchmove"
-            this.eventTouchend = "touchend"
-        }
+        this.capturing = null
+        // Cleared while the keys are left to other boards, like the ones of a versus match
+        this.active = true
+        this.controls = options.controls !== false
+        this.setSwipeThresholds(options)
+        this.setBindings(bindings || KeyboardInputManager.defaultBindings)
         this.listen()
     }
 
@@ -36,77 +39,380 @@ class KeyboardInputManager {
     }
 
     /**
-     * Listen for touch events
+     * Replaces the keys bound to the actions
+     * @param bindings {Object<string, string[]>} the keys bound to each action, as returned by bindingOf
+     */
+    setBindings = bindings => {
+        this.bindings = {}
+        this.keyActions = {}
+        // Actions added since the bindings were saved get their default keys, unless these are taken
+        const taken = [].concat(...Object.values(bindings))
+        Object.keys(KeyboardInputManager.defaultBindings).forEach(action => {
+            this.bindings[action] = action in bindings ? bindings[action].slice() :
+                KeyboardInputManager.defaultBindings[action].filter(binding => !taken.includes(binding))
+            this.bindings[action].forEach(binding => this.keyActions[binding] = action)
+        })
+    }
+
+    /**
+     * Replaces the distance and the speed a swipe or a mouse drag must reach
+     * @param thresholds {{minSwipeDistance: number, minSwipeVelocity: number}} the distance in pixels and the speed in
+     * pixels per millisecond, the default ones when missing or negative
+     */
+    setSwipeThresholds = thresholds => {
+        const defaults = KeyboardInputManager.defaultSwipeThresholds
+        const valid = value => Number.isFinite(value) && value >= 0
+        this.minSwipeDistance = valid(thresholds.minSwipeDistance) ? thresholds.minSwipeDistance : defaults.minSwipeDistance
+        this.minSwipeVelocity = valid(thresholds.minSwipeVelocity) ? thresholds.minSwipeVelocity : defaults.minSwipeVelocity
+    }
+
+    /**
+     * Returns the distance and the speed a swipe or a mouse drag must reach
+     * @returns {{minSwipeDistance: number, minSwipeVelocity: number}} the distance in pixels and the speed in pixels
+     * per millisecond
+     */
+    swipeThresholds = () => ({ minSwipeDistance: this.minSwipeDistance, minSwipeVelocity: this.minSwipeVelocity })
+
+    /**
+     * Returns the action bound to a key press
+     * @param event {KeyboardEvent} the key press
+     * @returns {?string} the action, null if the key is not bound
+     */
+    actionOf = event => {
+        const modifiers = KeyboardInputManager.modifiersOf(event)
+        return this.keyActions[modifiers + event.code] || this.keyActions[modifiers + event.key] || null
+    }
+
+    /**
+     * Fires the event of an action
+     * @param action {string} the action, a key of KeyboardInputManager.defaultBindings
+     */
+    fireAction = action => {
+        const direction = KeyboardInputManager.directions.indexOf(action)
+        if (direction >= 0) {
+            this.emit("move", direction)
+        } else {
+            this.emit(action)
+        }
+    }
+
+    /**
+     * Binds the next key pressed to an action, unless it is Escape
+     * @param action {string} the action
+     */
+    captureBinding = action => {
+        this.capturing = action
+        this.emit("captureBinding", action)
+    }
+
+    /**
+     * Listen for key presses, button presses and swipes
      */
     listen = () => {
-        let eventStartX, eventStartY
-        const keyMapping = { 38: 0, 39: 1, 40: 2, 37: 3, 75: 0, 76: 1, 74: 2, 72: 3, 87: 0, 68: 1, 83: 2, 65: 3 }
+        let swipe = null
         document.addEventListener("keydown", event => {
-            const isSpecialKey = event.altKey || event.ctrlKey || event.metaKey || event.shiftKey
-            let direction = keyMapping[event.which]
-            if (this.targetIsInput(event) || isSpecialKey) {
+            if (this.targetIsInput(event)) {
+                return
+            }
+            if (this.capturing) {
+                if (KeyboardInputManager.modifierKeys.includes(event.key)) return
+                const action = this.capturing
+                event.preventDefault()
+                this.capturing = null
+                this.emit("bindKey", { action: action, binding: event.key === "Escape" ? null : KeyboardInputManager.bindingOf(event) })
+                return
+            }
+            if (this.controls && (event.key === "Enter" || event.key === " ") &&
+                event.target.getAttribute("role") === "button") {
+                // The buttons are links without an address, which the keyboard does not press by itself
+                event.preventDefault()
+                event.target.click()
+                return
+            }
+            if (!this.active) {
                 return
             }
-            if (direction !== undefined) {
+            const binding = KeyboardInputManager.bindingOf(event)
+            if (KeyboardInputManager.reservedBindings[binding]) {
                 event.preventDefault()
-                this.emit("move", direction)
+                this.emit(KeyboardInputManager.reservedBindings[binding])
+                return
             }
-            if (82 === event.which) {
-                this.restart.call(event)
+            const action = this.actionOf(event)
+            if (action) {
+                event.preventDefault()
+                this.fireAction(action)
             }
         })
+        this.on("closePanels", () => this.capturing = null)
+        if (!this.controls) {
+            return
+        }
         this.bindButtonPress(".retry-button", this.restart)
         this.bindButtonPress(".restart-button", this.restart)
         this.bindButtonPress(".keep-playing-button", this.keepPlaying)
+        this.bindButtonPress(".undo-button", this.undo)
+        this.bindButtonPress(".redo-button", this.redo)
+        this.bindButtonPress(".hint-button", this.emitter("hint"))
+        this.bindButtonPress(".autoplay-button", this.emitter("toggleAutoplay"))
+        this.bindButtonPress(".stats-button", this.emitter("showStats"))
+        this.bindButtonPress(".leaderboard-button", this.emitter("showLeaderboard"))
+        this.bindButtonPress(".key-settings-button", this.emitter("showKeySettings"))
+        this.bindButtonPress(".reset-bindings-button", this.emitter("resetBindings"))
+        document.querySelector(".key-bindings").addEventListener("click", event => {
+            const button = event.target.closest("[data-action]")
+            if (!button) return
+            event.preventDefault()
+            if (button.dataset.binding) {
+                this.emit("unbindKey", { action: button.dataset.action, binding: button.dataset.binding })
+            } else {
+                this.captureBinding(button.dataset.action)
+            }
+        })
+        const swipeForm = document.querySelector(".swipe-form")
+        swipeForm.addEventListener("change", () => this.emit("changeSwipeThresholds", {
+            minSwipeDistance: parseFloat(swipeForm.querySelector(".swipe-distance").value),
+            minSwipeVelocity: parseFloat(swipeForm.querySelector(".swipe-velocity").value)
+        }))
+        swipeForm.addEventListener("submit", event => event.preventDefault())
+        this.bindButtonPress(".clear-leaderboard-button", () =>
+            this.emit("clearLeaderboard", document.querySelector(".leaderboard-player").value || null))
+        document.querySelectorAll(".close-panel-button").forEach(button =>
+            button.addEventListener("click", this.emitter("closePanels")))
+        this.bindButtonPress(".replay-button", this.emitter("startReplay"))
+        this.bindButtonPress(".replay-play-button", this.emitter("toggleReplay"))
+        this.bindButtonPress(".replay-step-button", this.emitter("stepReplay"))
+        this.bindButtonPress(".replay-exit-button", this.emitter("stopReplay"))
+        this.bindButtonPress(".replay-export-button", this.emitter("exportReplay"))
+        this.bindButtonPress(".versus-button", this.emitter("startVersus"))
+        this.bindButtonPress(".versus-rematch-button", this.emitter("startVersus"))
+        document.querySelectorAll(".versus-exit-button").forEach(button =>
+            button.addEventListener("click", this.emitter("stopVersus")))
+        this.bindButtonPress(".race-button", this.emitter("showRace"))
+        this.bindButtonPress(".race-again-button", this.emitter("raceAgain"))
+        document.querySelectorAll(".race-leave-button").forEach(button =>
+            button.addEventListener("click", this.emitter("leaveRace")))
 
-        const gameContainer = document.getElementsByClassName("game-container")[0]
-        gameContainer.addEventListener(this.eventTouchstart,
-            event => {
-                if (!window.navigator.msPointerEnabled) {
-                    if (event.touches.length > 1) {
-                        return true
-                    }
-                    if (event.targetTouches.length > 1) {
-                        return true
-                    }
-                    if (!this.targetIsInput(event)) {
-                        if (window.navigator.msPointerEnabled) {
-                            eventStartX = event.pageX
-                            eventStartY = event.pageY
-                            event.preventDefault()
-                        } else {
-                            eventStartX = event.touches[0].clientX
-                            eventStartY = event.touches[0].clientY
-                            event.preventDefault()
-                        }
+        const raceForm = document.querySelector(".race-form")
+        raceForm.addEventListener("submit", event => {
+            event.preventDefault()
+            this.emit("joinRace", {
+                server: raceForm.querySelector(".race-server").value.trim(),
+                room: raceForm.querySelector(".race-room").value.trim(),
+                name: raceForm.querySelector(".race-name").value.trim()
+            })
+        })
+
+        const leaderboardForm = document.querySelector(".leaderboard-form")
+        leaderboardForm.addEventListener("submit", event => {
+            event.preventDefault()
+            const name = leaderboardForm.querySelector(".player-name").value.trim()
+            if (name) this.emit("saveScore", name)
+        })
+
+        const leaderboardPlayer = document.querySelector(".leaderboard-player")
+        leaderboardPlayer.addEventListener("change", () => {
+            leaderboardPlayer.blur()
+            this.emit("showLeaderboard", leaderboardPlayer.value || null)
+        })
+
+        const autoplaySpeed = document.querySelector(".autoplay-speed")
+        autoplaySpeed.addEventListener("change", () => {
+            autoplaySpeed.blur()
+            this.emit("autoplaySpeed", parseFloat(autoplaySpeed.value))
+        })
+
+        const replaySpeed = document.querySelector(".replay-speed")
+        replaySpeed.addEventListener("change", () => {
+            replaySpeed.blur()
+            this.emit("replaySpeed", parseFloat(replaySpeed.value))
+        })
+
+        const replayFile = document.querySelector(".replay-file")
+        replayFile.addEventListener("change", () => {
+            const file = replayFile.files[0]
+            replayFile.value = ""
+            if (file) {
+                file.text().then(text => {
+                    let recording = null
+                    try {
+                        recording = JSON.parse(text)
+                    } catch (e) {
+                        // Reported as an invalid recording below
                     }
-                }
-            },
-            { passive: true }
-        )
+                    this.emit("importReplay", recording)
+                })
+            }
+        })
 
-        gameContainer.addEventListener(this.eventTouchmove, event => {
-                event.preventDefault()
-            }, { passive: true }
-        )
-
-        gameContainer.addEventListener(this.eventTouchend, event => {
-            if (!(!window.navigator.msPointerEnabled && event.touches.length > 0 || event.targetTouches.length > 0 || i.targetIsInput(event))) {
-                let eventEndX, eventEndY
-                if (window.navigator.msPointerEnabled) {
-                    eventEndX = event.pageX
-                    eventEndY = event.pageY
-                } else {
-                    eventEndX = event.changedTouches[0].clientX
-                    eventEndY = event.changedTouches[0].clientY
-                }
-                let deltaX = eventEndX - eventStartX
-                let absDeltaX = Math.abs(deltaX)
-                let deltaY = eventEndY - eventStartY
-                let absDeltaY = Math.abs(deltaY)
-                Math.max(absDeltaX, absDeltaY) > 10 && this.emit("move", absDeltaX > absDeltaY ? deltaX > 0 ? 1 : 3 : deltaY > 0 ? 2 : 0)
+        this.bindButtonPress(".profile-button", this.emitter("showProfiles"))
+        this.bindButtonPress(".delete-profile-button", event => {
+            event.preventDefault()
+            const picker = document.querySelector(".profile-picker")
+            const name = picker.options[picker.selectedIndex].text
+            if (picker.value !== "default" && window.confirm("Delete " + name + " and all of its saves?")) {
+                this.emit("deleteProfile", picker.value)
+            }
+        })
+        document.querySelector(".slot-list").addEventListener("click", event => {
+            const button = event.target.closest("[data-slot]")
+            if (!button) return
+            event.preventDefault()
+            this.emit("loadSlot", parseInt(button.dataset.slot, 10))
+        })
+
+        const profilePicker = document.querySelector(".profile-picker")
+        profilePicker.addEventListener("change", () => {
+            profilePicker.blur()
+            this.emit("switchProfile", profilePicker.value)
+        })
+
+        const profileForm = document.querySelector(".profile-form")
+        profileForm.addEventListener("submit", event => {
+            event.preventDefault()
+            const input = profileForm.querySelector(".profile-name")
+            const name = input.value.trim()
+            input.value = ""
+            if (name) this.emit("createProfile", name)
+        })
+
+        this.bindButtonPress(".theme-button", this.emitter("showThemes"))
+        this.bindButtonPress(".delete-theme-button", event => {
+            event.preventDefault()
+            const picker = document.querySelector(".theme-picker")
+            const name = picker.options[picker.selectedIndex].text
+            if (!(picker.value in THEMES) && window.confirm("Delete the theme " + name + "?")) {
+                this.emit("deleteTheme", picker.value)
+            }
+        })
+        this.bindButtonPress(".export-theme-button", this.emitter("exportTheme"))
+        document.querySelector(".theme-colors").addEventListener("input", event => {
+            const input = event.target.closest("[data-color]")
+            if (input) this.emit("editTheme", { name: input.dataset.color, color: input.value })
+        })
+
+        const themePicker = document.querySelector(".theme-picker")
+        themePicker.addEventListener("change", () => {
+            themePicker.blur()
+            this.emit("changeTheme", themePicker.value)
+        })
+
+        const themeForm = document.querySelector(".theme-form")
+        themeForm.addEventListener("submit", event => {
+            event.preventDefault()
+            const input = themeForm.querySelector(".theme-name")
+            const name = input.value.trim()
+            input.value = ""
+            if (name) this.emit("saveTheme", name)
+        })
+
+        const themeFile = document.querySelector(".theme-file")
+        themeFile.addEventListener("change", () => {
+            const file = themeFile.files[0]
+            themeFile.value = ""
+            if (file) {
+                file.text().then(text => this.emit("importTheme", text))
+            }
+        })
+
+        this.bindButtonPress(".daily-button", this.emitter("startDaily"))
+        this.bindButtonPress(".copy-daily-button", this.emitter("copyDaily"))
+
+        this.bindButtonPress(".save-button", this.emitter("showSave"))
+        this.bindButtonPress(".copy-save-button", this.emitter("copySave"))
+        this.bindButtonPress(".export-save-button", this.emitter("exportSave"))
+        this.bindButtonPress(".load-save-button", event => {
+            event.preventDefault()
+            this.emit("importSave", document.querySelector(".save-text").value)
+        })
+
+        const saveFile = document.querySelector(".save-file")
+        saveFile.addEventListener("change", () => {
+            const file = saveFile.files[0]
+            saveFile.value = ""
+            if (file) {
+                file.text().then(text => this.emit("importSave", text))
+            }
+        })
+
+        this.bindButtonPress(".edit-board-button", this.emitter("editBoard"))
+        this.bindButtonPress(".copy-puzzle-button", this.emitter("copyPuzzleLink"))
+        this.bindButtonPress(".clear-board-button", this.emitter("clearBoard"))
+        const editorBoard = document.querySelector(".editor-board")
+        editorBoard.addEventListener("click", event => {
+            const cell = event.target.closest("[data-x]")
+            if (!cell) return
+            event.preventDefault()
+            this.emit("editCell", { x: parseInt(cell.dataset.x, 10), y: parseInt(cell.dataset.y, 10), step: event.shiftKey ? -1 : 1 })
+        })
+        editorBoard.addEventListener("contextmenu", event => {
+            const cell = event.target.closest("[data-x]")
+            if (!cell) return
+            event.preventDefault()
+            this.emit("editCell", { x: parseInt(cell.dataset.x, 10), y: parseInt(cell.dataset.y, 10), step: -1 })
+        })
+
+        const editorForm = document.querySelector(".editor-form")
+        editorForm.addEventListener("input", () => this.emit("editPuzzle", {
+            score: Math.max(0, parseInt(editorForm.querySelector(".editor-score").value, 10) || 0),
+            target: parseInt(editorForm.querySelector(".editor-target").value, 10) || null,
+            moves: Math.max(0, parseInt(editorForm.querySelector(".editor-moves").value, 10) || 0) || null
+        }))
+        editorForm.addEventListener("submit", event => {
+            event.preventDefault()
+            this.emit("playPuzzle")
+        })
+        window.addEventListener("hashchange", this.readPuzzleLink)
+
+        const rulesPicker = document.querySelector(".rules-picker")
+        rulesPicker.addEventListener("change", () => {
+            rulesPicker.blur()
+            this.emit("changeRules", rulesPicker.value)
+        })
+
+        const modePicker = document.querySelector(".mode-picker")
+        modePicker.addEventListener("change", () => {
+            modePicker.blur()
+            this.emit("changeMode", modePicker.value)
+        })
+
+        const rendererPicker = document.querySelector(".renderer-picker")
+        rendererPicker.addEventListener("change", () => {
+            rendererPicker.blur()
+            this.emit("changeRenderer", rendererPicker.value)
+        })
+
+        const undoLimitPicker = document.querySelector(".undo-limit-picker")
+        undoLimitPicker.addEventListener("change", () => {
+            undoLimitPicker.blur()
+            const limit = undoLimitPicker.value
+            this.emit("changeUndoLimit", limit === "unlimited" ? Infinity : parseInt(limit, 10))
+        })
+
+        const sizePicker = document.querySelector(".size-picker")
+        sizePicker.addEventListener("change", () => {
+            sizePicker.blur()
+            this.emit("changeSize", parseInt(sizePicker.value, 10))
+        })
+
+        const gameContainer = document.getElementsByClassName("game-container")[0]
+        gameContainer.addEventListener("pointerdown", event => {
+            if (!event.isPrimary || event.button !== 0 || this.targetIsInput(event)) return
+            swipe = { pointerId: event.pointerId, x: event.clientX, y: event.clientY, time: event.timeStamp }
+        })
+        // Released outside of the board, a drag still counts
+        window.addEventListener("pointerup", event => {
+            if (!swipe || event.pointerId !== swipe.pointerId) return
+            const deltaX = event.clientX - swipe.x
+            const deltaY = event.clientY - swipe.y
+            const distance = Math.max(Math.abs(deltaX), Math.abs(deltaY))
+            const velocity = distance / Math.max(1, event.timeStamp - swipe.time)
+            swipe = null
+            if (distance > this.minSwipeDistance && velocity >= this.minSwipeVelocity) {
+                this.emit("move", Math.abs(deltaX) > Math.abs(deltaY) ? deltaX > 0 ? 1 : 3 : deltaY > 0 ? 2 : 0)
             }
         })
+        window.addEventListener("pointercancel", () => swipe = null)
     }
 
     /**
@@ -127,6 +433,34 @@ class KeyboardInputManager {
         this.emit("keepPlaying")
     }
 
+    /**
+     * Handles the undo event
+     * @param event {Event} The event to handle
+     */
+    undo = (event) => {
+        event.preventDefault()
+        this.emit("undo")
+    }
+
+    /**
+     * Handles the redo event
+     * @param event {Event} The event to handle
+     */
+    redo = (event) => {
+        event.preventDefault()
+        this.emit("redo")
+    }
+
+    /**
+     * Returns a button handler firing an event
+     * @param eventName {String} Name of the event to fire
+     * @returns {Function} the handler
+     */
+    emitter = eventName => event => {
+        event.preventDefault()
+        this.emit(eventName)
+    }
+
     /**
      * Binds a button press to an event
      * @param buttonSelector {String} The selector for the button
@@ -135,7 +469,6 @@ class KeyboardInputManager {
     bindButtonPress = (buttonSelector, callback) => {
         const button = document.querySelector(buttonSelector)
         button.addEventListener("click", callback)
-        button.addEventListener(this.eventTouchend, callback)
     }
 
     /**
@@ -143,670 +476,3887 @@ class KeyboardInputManager {
      * @param event {Event} The event to check
      * @returns {boolean} True if the target is an input, false otherwise
      */
-    targetIsInput = (event) => "input" === event.target.tagName.toLowerCase()
+    targetIsInput = (event) => ["input", "select", "textarea"].includes(event.target.tagName.toLowerCase())
+
+    /**
+     * Opens the puzzle shared in the address, then takes it out of the address so that reloading resumes the game
+     */
+    readPuzzleLink = () => {
+        const match = /^#puzzle=([\w-]+)$/.exec(window.location.hash)
+        if (!match) return
+        window.history.replaceState(null, "", window.location.pathname + window.location.search)
+        this.emit("openPuzzle", match[1])
+    }
+}
+
+/**
+ * Returns the modifiers held during a key press
+ * @param event {KeyboardEvent} the key press
+ * @returns {string} the modifiers, like "Ctrl+Shift+", or an empty string
+ */
+KeyboardInputManager.modifiersOf = event =>
+    (event.ctrlKey ? "Ctrl+" : "") + (event.altKey ? "Alt+" : "") + (event.shiftKey ? "Shift+" : "") +
+    (event.metaKey ? "Meta+" : "")
+
+/**
+ * Returns the binding of a key press, its modifiers followed by its physical key
+ * @param event {KeyboardEvent} the key press
+ * @returns {string} the binding, like "Ctrl+KeyZ"
+ */
+KeyboardInputManager.bindingOf = event => KeyboardInputManager.modifiersOf(event) + (event.code || event.key)
+
+KeyboardInputManager.directions = ["up", "right", "down", "left"]
+
+/**
+ * Keeps the keys of the moves only, for the boards where the other actions have no place
+ * @param bindings {Object<string, string[]>} the keys bound to each action
+ * @returns {Object<string, string[]>} the keys of the moves, every other action having none
+ */
+KeyboardInputManager.movesOnly = bindings => Object.fromEntries(Object.keys(KeyboardInputManager.defaultBindings)
+    .map(action => [action, KeyboardInputManager.directions.includes(action) && bindings[action] || []]))
+KeyboardInputManager.actionNames = {
+    up: "Move up",
+    right: "Move right",
+    down: "Move down",
+    left: "Move left",
+    restart: "New game",
+    keepPlaying: "Keep playing",
+    undo: "Undo",
+    describeBoard: "Read the board aloud"
+}
+// Bindings are matched against event.code, then event.key, so both "KeyW" and "w" can be used
+KeyboardInputManager.defaultBindings = {
+    up: ["ArrowUp", "KeyK", "KeyW"],
+    right: ["ArrowRight", "KeyL", "KeyD"],
+    down: ["ArrowDown", "KeyJ", "KeyS"],
+    left: ["ArrowLeft", "KeyH", "KeyA"],
+    restart: ["KeyR"],
+    keepPlaying: [],
+    undo: ["KeyU", "Ctrl+KeyZ", "Meta+KeyZ"],
+    describeBoard: ["KeyB"]
+}
+// Keys that cannot be rebound, with the event they fire
+KeyboardInputManager.reservedBindings = {
+    "Ctrl+KeyY": "redo",
+    "Meta+KeyY": "redo",
+    "Ctrl+Shift+KeyZ": "redo",
+    "Shift+Meta+KeyZ": "redo",
+    "Escape": "closePanels"
+}
+// A swipe or a mouse drag must go further than 10 pixels, at any speed
+KeyboardInputManager.defaultSwipeThresholds = { minSwipeDistance: 10, minSwipeVelocity: 0 }
+KeyboardInputManager.modifierKeys = ["Control", "Alt", "Shift", "Meta", "AltGraph", "CapsLock", "OS"]
+
+class GamepadInputManager {
+    /**
+     * @param inputManager {KeyboardInputManager} the event bus the gamepad actions are fired on
+     * @param getGamepads {function(): ?Gamepad[]} the source of the gamepads, navigator.getGamepads by default
+     */
+    constructor(inputManager, getGamepads = () => navigator.getGamepads ? Array.from(navigator.getGamepads()) : []) {
+        this.inputManager = inputManager
+        this.getGamepads = getGamepads
+        this.deadZone = 0.5
+        this.held = new Set()
+        this.frame = null
+        window.addEventListener("gamepadconnected", this.start)
+    }
+
+    /**
+     * Starts polling the gamepads on each animation frame
+     */
+    start = () => {
+        if (this.frame === null) {
+            this.frame = window.requestAnimationFrame(this.loop)
+        }
+    }
+
+    /**
+     * Polls the gamepads, until none is connected
+     */
+    loop = () => {
+        this.frame = null
+        if (this.poll()) this.start()
+    }
+
+    /**
+     * Fires the actions pressed since the last poll. Held actions fire only once
+     * @returns {boolean} true if a gamepad is connected, false otherwise
+     */
+    poll = () => {
+        const gamepads = this.getGamepads().filter(gamepad => gamepad && gamepad.connected !== false)
+        const active = new Set()
+        gamepads.forEach(gamepad => this.activeActions(gamepad).forEach(action => active.add(action)))
+        active.forEach(action => this.held.has(action) || this.fire(action))
+        this.held = active
+        return gamepads.length > 0
+    }
+
+    /**
+     * Returns the actions a gamepad is pressing
+     * @param gamepad {Gamepad} the gamepad, with the standard mapping
+     * @returns {string[]} the actions, from GamepadInputManager.buttons
+     */
+    activeActions = gamepad => {
+        const actions = Object.keys(GamepadInputManager.buttons)
+            .filter(index => gamepad.buttons[index] && gamepad.buttons[index].pressed)
+            .map(index => GamepadInputManager.buttons[index])
+        const [x = 0, y = 0] = gamepad.axes
+        if (Math.max(Math.abs(x), Math.abs(y)) > this.deadZone) {
+            const direction = Math.abs(x) > Math.abs(y) ? x > 0 ? 1 : 3 : y > 0 ? 2 : 0
+            actions.push(GamepadInputManager.directions[direction])
+        }
+        return actions
+    }
+
+    /**
+     * Fires the event of an action, unless a versus match or a race has the keys
+     * @param action {string} the action
+     */
+    fire = action => {
+        if (!this.inputManager.active) return
+        const direction = GamepadInputManager.directions.indexOf(action)
+        if (direction >= 0) {
+            this.inputManager.emit("move", direction)
+        } else {
+            this.inputManager.emit(action)
+        }
+    }
 }
 
+GamepadInputManager.directions = ["up", "right", "down", "left"]
+// Standard mapping: D-pad, Start and A
+GamepadInputManager.buttons = { 12: "up", 15: "right", 13: "down", 14: "left", 9: "restart", 0: "keepPlaying" }
+
 class HTMLActuator {
     constructor() {
+        this.gameContainer = document.querySelector(".game-container")
+        this.gridContainer = document.querySelector(".grid-container")
         this.tileContainer = document.querySelector(".tile-container")
         this.scoreContainer = document.querySelector(".score-container")
         this.bestContainer = document.querySelector(".best-container")
         this.messageContainer = document.querySelector(".game-message")
+        this.sizePicker = document.querySelector(".size-picker")
+        this.rulesPicker = document.querySelector(".rules-picker")
+        this.modePicker = document.querySelector(".mode-picker")
+        this.modeContainer = document.querySelector(".mode-container")
+        this.targetTile = document.querySelector(".target-tile")
+        this.undoButton = document.querySelector(".undo-button")
+        this.undoLimitPicker = document.querySelector(".undo-limit-picker")
+        this.redoButton = document.querySelector(".redo-button")
+        this.seedLink = document.querySelector(".seed-link")
+        this.hintIndicator = document.querySelector(".hint-indicator")
+        this.autoplayButton = document.querySelector(".autoplay-button")
+        this.statsPanel = document.querySelector(".stats-panel")
+        this.leaderboardPanel = document.querySelector(".leaderboard-panel")
+        this.keySettingsPanel = document.querySelector(".key-settings-panel")
+        this.savePanel = document.querySelector(".save-panel")
+        this.profilePanel = document.querySelector(".profile-panel")
+        this.themePanel = document.querySelector(".theme-panel")
+        this.dailyPanel = document.querySelector(".daily-panel")
+        this.dailyStatus = document.querySelector(".daily-status")
+        this.dailyText = document.querySelector(".daily-text")
+        this.editorPanel = document.querySelector(".editor-panel")
+        this.editorBoard = document.querySelector(".editor-board")
+        this.editorStatus = document.querySelector(".editor-status")
+        this.puzzleLink = document.querySelector(".puzzle-link")
+        this.themeStyle = document.querySelector(".theme-style")
+        this.profileButton = document.querySelector(".profile-button")
+        this.storageWarning = document.querySelector(".storage-warning")
+        this.boardTable = document.querySelector(".board-table")
+        this.announcer = document.querySelector(".board-announcer")
+        this.saveText = document.querySelector(".save-text")
+        this.saveStatus = document.querySelector(".save-status")
+        this.playerName = document.querySelector(".player-name")
+        this.replayControls = document.querySelector(".replay-controls")
+        this.replayPlayButton = document.querySelector(".replay-play-button")
+        this.replaySpeed = document.querySelector(".replay-speed")
+        this.replayStatus = document.querySelector(".replay-status")
+        this.rendererPicker = document.querySelector(".renderer-picker")
+        this.rendererPicker.value = "dom"
+        this.gridStyle = document.createElement("style")
+        document.head.appendChild(this.gridStyle)
         this.score = 0
     }
 
+    renderer = "dom"
+
+    // The selector the grid rules are limited to, which leaves the other boards of the page alone
+    boardScope = ""
+
+    // The merge rule of the game shown, which picks the colours of the tiles
+    mergeRule = MERGE_RULES.doubling
+
+    /**
+     * Sets the board up for a board size
+     * @param size {number} the number of cells on each side of the board
+     */
+    setupGrid = size => {
+        this.size = size
+        this.gameContainer.style.setProperty("--tile-scale", 4 / size)
+        this.sizePicker.value = size
+        this.setupBoard(size)
+    }
+
+    /**
+     * Removes what the actuator added to the page, before another one takes over
+     */
+    destroy = () => {
+        this.teardownBoard()
+        document.head.removeChild(this.gridStyle)
+    }
+
+    /**
+     * Builds the grid cells and the tile positions for a board size
+     * @param size {number} the number of cells on each side of the board
+     */
+    setupBoard = size => {
+        this.clearContainer(this.gridContainer)
+        for (let i = 0; i < size; i ++) {
+            const row = document.createElement("div")
+            row.classList.add("grid-row")
+            for (let j = 0; j < size; j ++) {
+                const cell = document.createElement("div")
+                cell.classList.add("grid-cell")
+                row.appendChild(cell)
+            }
+            this.gridContainer.appendChild(row)
+        }
+        this.gridStyle.textContent = this.gridRules(size, 500, 15) +
+            "@media screen and (max-width: 520px) {\n" + this.gridRules(size, 280, 10) + "}\n"
+    }
+
+    /**
+     * Removes the grid cells, the tiles and their positions
+     */
+    teardownBoard = () => {
+        this.clearContainer(this.gridContainer)
+        this.clearContainer(this.tileContainer)
+        this.gridStyle.textContent = ""
+    }
+
+    /**
+     * Shows the tiles of the grid, animated from their previous positions
+     * @param grid {Grid} the grid
+     */
+    renderTiles = grid => {
+        this.clearContainer(this.tileContainer)
+        grid.cells.forEach(line => {
+            line.forEach(cell => cell && this.addTile(cell))
+        })
+    }
+
+    /**
+     * Returns the CSS rules sizing the cells and positioning the tiles
+     * @param size {number} the number of cells on each side of the board
+     * @param width {number} the width of the game container in pixels
+     * @param gap {number} the space between cells and around the grid in pixels
+     * @returns {string} the CSS rules
+     */
+    gridRules = (size, width, gap) => {
+        const cellSize = (width - gap * (size + 1)) / size
+        const tileSize = Math.ceil(cellSize)
+        const scope = this.boardScope
+        const rules = [
+            `${scope}.grid-cell { width: ${cellSize}px; height: ${cellSize}px; }`,
+            `${scope}.tile, ${scope}.tile .tile-inner { width: ${tileSize}px; height: ${tileSize}px; line-height: ${tileSize}px; }`
+        ]
+        for (let x = 0; x < size; x ++) {
+            for (let y = 0; y < size; y ++) {
+                const translate = `translate(${Math.floor(x * (cellSize + gap))}px, ${Math.floor(y * (cellSize + gap))}px)`
+                rules.push(`${scope}.tile.${this.positionClass({ x, y })} { -webkit-transform: ${translate}; transform: ${translate}; }`)
+            }
+        }
+        return rules.join("\n") + "\n"
+    }
+
     /**
      * Updates the cells and the state of the game
      * @param grid {Grid} The grid to update
-     * @param gameState {{score: (number|*), over: boolean, won: boolean, bestScore: number, terminated: boolean}} The state of the game
+     * @param gameState {{score: (number|*), over: boolean, won: boolean, keepPlaying: boolean, bestScore: number, terminated: boolean, canUndo: boolean, canRedo: boolean, undosLeft: number, undoLimit: number, seed: string, rules: Object, target: number, mode: Object, profile: {name: string, slot: number}, persistent: boolean, replay: ?{position: number, length: number, playing: boolean, speed: number}, canSaveScore: boolean, playerName: string}} The state of the game
      */
     actuate = (grid, gameState) => {
         window.requestAnimationFrame(() => {
-            this.clearContainer(this.tileContainer)
-            grid.cells.forEach(line => {
-                line.forEach(cell => cell && this.addTile(cell))
-            })
+            this.hintIndicator.classList.remove("visible")
+            this.mergeRule = mergeRuleOf(gameState.rules)
+            this.renderTiles(grid)
+            this.updateBoardTable(grid)
             this.updateScore(gameState.score)
             this.updateBestScore(gameState.bestScore)
+            this.updateHistoryButtons(gameState)
+            this.updateSeed(gameState.seed, gameState.rules, gameState.mode)
+            this.updateReplay(gameState.replay)
+            this.updateRules(gameState.rules, gameState.target)
+            this.updateMode(gameState.mode)
+            this.updateProfile(gameState.profile)
+            this.storageWarning.classList.toggle("visible", !gameState.persistent)
+            this.messageContainer.classList.toggle("can-save-score", gameState.canSaveScore)
             if (gameState.terminated) {
-                if (gameState.over) {
-                    this.message(!1)
+                // Winning with the last move shows the win first, and the end of the game once the player goes on
+                if (gameState.won && !gameState.keepPlaying) {
+                    this.message(!0, gameState.rules.winMessage, gameState.playerName)
                 } else {
-                    gameState.won && this.message(!0)
+                    this.message(!1, gameState.mode.overMessage, gameState.playerName)
                 }
             }
         })
     }
 
     /**
-     * Clears the message container so that the player can
-     * keep playing
+     * Lists the values of the grid in the table read by screen readers
+     * @param grid {Grid} the grid
+     */
+    updateBoardTable = grid => {
+        const body = this.boardTable.tBodies[0]
+        this.clearContainer(body)
+        for (let y = 0; y < grid.size; y ++) {
+            const row = body.insertRow()
+            for (let x = 0; x < grid.size; x ++) {
+                const tile = grid.cells[x][y]
+                row.insertCell().textContent = tile ? this.tileName(tile) : "empty"
+            }
+        }
+    }
+
+    /**
+     * Reads a message aloud with screen readers
+     * @param message {string} the message
+     */
+    announce = message => {
+        // A message repeated as it is would not be read again
+        this.announcer.textContent = this.announcer.textContent === message ? message + "\u00a0" : message
+    }
+
+    /**
+     * Announces what a move did
+     * @param direction {0|1|2|3} the direction of the move
+     * @param result {{moved: boolean, scoreDelta: number, merges: {x: number, y: number, value: number}[], spawn: ?{x: number, y: number, value: number, type: string}}} what the move did
+     * @param outcome {{score: number, over: boolean, won: boolean, winMessage: string, overMessage: ?string}} the score
+     * after the move, whether the game is over, whether the move won it, and the messages of both
+     */
+    announceMove = (direction, result, outcome) => {
+        const name = KeyboardInputManager.directions[direction]
+        if (!result.moved) {
+            this.announce("Nothing moves " + name + ".")
+            return
+        }
+        const parts = ["Moved " + name + "."]
+        const merges = result.merges.filter(merge => merge.value)
+        const clears = result.merges.filter(merge => !merge.value)
+        if (merges.length) {
+            parts.push("Merged into " + merges.map(merge => merge.value).join(", ") + ", " +
+                result.scoreDelta + " points, score " + outcome.score + ".")
+        }
+        if (clears.length) {
+            parts.push("Cleared at " + clears.map(this.cellName).join(" and ") + ".")
+        }
+        if (result.spawn) {
+            parts.push("New " + this.tileName(result.spawn) + " at " + this.cellName(result.spawn) + ".")
+        }
+        if (outcome.won) parts.push(outcome.winMessage)
+        if (outcome.over) parts.push((outcome.overMessage || "Game over!") + " Final score " + outcome.score + ".")
+        this.announce(parts.join(" "))
+    }
+
+    /**
+     * Reads the whole board aloud, row by row
+     * @param grid {Grid} the grid
+     * @param score {number} the score
+     */
+    describeBoard = (grid, score) => {
+        const rows = []
+        for (let y = 0; y < grid.size; y ++) {
+            rows.push("Row " + (y + 1) + ": " + grid.cells.map(column => column[y] ? this.tileName(column[y]) : "empty").join(", ") + ".")
+        }
+        this.announce("Score " + score + ". " + rows.join(" "))
+    }
+
+    /**
+     * Names a cell the way screen readers announce it
+     * @param position {{x: number, y: number}} the position of the cell
+     * @returns {string} the name, like "row 1, column 3"
+     */
+    cellName = position => "row " + (position.y + 1) + ", column " + (position.x + 1)
+
+    /**
+     * Names a tile the way screen readers announce it
+     * @param tile {{value: number, type: string}} the tile
+     * @returns {string} the value, or the name of the tiles without one
+     */
+    tileName = tile => TILE_TYPES[tile.type].sign ? String(tile.value) : TILE_TYPES[tile.type].name.toLowerCase()
+
+    /**
+     * Tells whether the player asked their system for less motion
+     * @returns {boolean} true if animations should be skipped
+     */
+    reducedMotion = () => !!window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches
+
+    /**
+     * Clears the message container so that the player can
+     * keep playing
+     */
+    continueGame = () => {
+        // if ("undefined" != typeof gtag) {
+        //     gtag("event", "restart", { event_category: "game" })
+        // }
+        this.clearMessage()
+    }
+
+    /**
+     * Clears an element of all its children
+     * @param container {HTMLElement} The element to clear
+     */
+    clearContainer = (container) => {
+        for (; container.firstChild;) container.removeChild(container.firstChild)
+    }
+
+    /**
+     * Adds a tile to the container.
+     * @param tile {Tile} The tile to add.
+     */
+    addTile = tile => {
+        const tileElement = document.createElement("div")
+        const tileInner = document.createElement("div")
+        const previousPosition = tile.previousPosition || { x: tile.x, y: tile.y }
+        const previousPositionClass = this.positionClass(previousPosition)
+        const classes = ["tile", HTMLActuator.tileClass(tile, this.mergeRule), previousPositionClass]
+
+        this.applyClasses(tileElement, classes)
+        tileInner.classList.add("tile-inner")
+        tileInner.textContent = tileLabel(tile)
+        if (tile.previousPosition) {
+            window.requestAnimationFrame(() => {
+                classes[2] = this.positionClass({ x: tile.x, y: tile.y })
+                this.applyClasses(tileElement, classes)
+            })
+            tileElement.appendChild(tileInner)
+            this.tileContainer.appendChild(tileElement)
+        } else {
+            if (tile.mergedFrom) {
+                classes.push("tile-merged")
+                this.applyClasses(tileElement, classes)
+                tile.mergedFrom.forEach(tile => this.addTile(tile))
+                tileElement.appendChild(tileInner)
+                this.tileContainer.appendChild(tileElement)
+            } else {
+                classes.push("tile-new")
+                this.applyClasses(tileElement, classes)
+                tileElement.appendChild(tileInner)
+                this.tileContainer.appendChild(tileElement)
+            }
+        }
+    }
+
+    /**
+     * Apply CSS classes to an element.
+     * @param element {HTMLElement} The element to which the classes will be applied.
+     * @param classes {String[]} An array of class names.
+     */
+    applyClasses = (element, classes) =>
+        element.setAttribute("class", classes.join(" "))
+
+    /**
+     * Normalizes the position of a tile
+     * @param position {{x: *, y: *}} x and y coordinates
+     * @returns {{x: *, y: *}} normalized position
+     */
+    normalizePosition = position => ({ x: position.x + 1, y: position.y + 1 })
+
+    /**
+     * Returns the class for a tile based on its position
+     * @param position {{x: *, y: *}} the position of the tile
+     * @returns {string} the HTML class for the tile
+     */
+    positionClass = position => {
+        let normalized = this.normalizePosition(position)
+        return "tile-position-" + normalized.x + "-" + normalized.y
+    }
+
+    /**
+     * Updates the score
+     * @param score {number} the new score
+     */
+    updateScore = score => {
+        this.clearContainer(this.scoreContainer)
+        const diff = score - this.score
+        this.score = score
+        this.scoreContainer.textContent = this.score
+        if (diff > 0) {
+            const scoreIncreaseElement = document.createElement("div")
+            scoreIncreaseElement.classList.add("score-addition")
+            scoreIncreaseElement.textContent = "+" + diff
+            this.scoreContainer.appendChild(scoreIncreaseElement)
+        }
+    }
+
+    /**
+     * Updates the best score
+     * @param bestScore {number} the new best score
+     */
+    updateBestScore = bestScore => this.bestContainer.textContent = bestScore
+
+    /**
+     * Enables or disables the undo and redo buttons, and shows the number of undos allowed per game
+     * @param gameState {{canUndo: boolean, canRedo: boolean, undosLeft: number, undoLimit: number}} the history part
+     * of the game state
+     */
+    updateHistoryButtons = gameState => {
+        this.undoButton.classList.toggle("disabled", !gameState.canUndo)
+        this.redoButton.classList.toggle("disabled", !gameState.canRedo)
+        this.undoButton.setAttribute("aria-disabled", !gameState.canUndo)
+        this.redoButton.setAttribute("aria-disabled", !gameState.canRedo)
+        this.undoButton.textContent = isFinite(gameState.undosLeft) ? "↶ " + gameState.undosLeft : "↶"
+        this.undoLimitPicker.value = isFinite(gameState.undoLimit) ? gameState.undoLimit : "unlimited"
+    }
+
+    /**
+     * Shows the rules of the game in the rules picker and in the introduction
+     * @param rules {Object} the rules of the game
+     */
+    updateRules = (rules, target) => {
+        this.rulesPicker.value = rules.id
+        this.targetTile.textContent = target + "!"
+    }
+
+    /**
+     * Shows the mode of the game, and the time or the moves left when it has a limit
+     * @param mode {{id: string, timeLeft: number, movesLeft: number}} the mode and what is left of its limits
+     */
+    updateMode = mode => {
+        const timed = isFinite(mode.timeLeft)
+        const limited = isFinite(mode.movesLeft)
+        this.modePicker.value = mode.id
+        this.modeContainer.classList.toggle("visible", timed || limited)
+        this.modeContainer.classList.toggle("ending", timed ? mode.timeLeft < 10000 : mode.movesLeft <= 10)
+        this.modeContainer.dataset.label = timed ? "Time" : "Moves"
+        this.modeContainer.textContent = timed ? HTMLActuator.formatTime(mode.timeLeft) : limited ? mode.movesLeft : ""
+    }
+
+    /**
+     * Shows the current profile and save slot
+     * @param profile {{name: string, slot: number}} the name of the profile and the slot
+     */
+    updateProfile = profile => {
+        this.profileButton.textContent = profile.name + " · Slot " + profile.slot
+    }
+
+    /**
+     * Opens the profile panel
+     * @param profiles {{id: string, name: string}[]} the profiles
+     * @param current {string} the id of the current profile
+     * @param slots {?{score: number, highestTile: number}[]} the game saved in each slot, null when empty
+     * @param currentSlot {number} the current slot, from 1
+     */
+    showProfiles = (profiles, current, slots, currentSlot) => {
+        const picker = this.profilePanel.querySelector(".profile-picker")
+        const slotList = this.profilePanel.querySelector(".slot-list")
+        this.clearContainer(picker)
+        this.clearContainer(slotList)
+        profiles.forEach(profile => picker.appendChild(new Option(profile.name, profile.id)))
+        picker.value = current
+        this.profilePanel.querySelector(".delete-profile-button").classList.toggle("disabled", current === "default")
+        slots.forEach((slot, i) => {
+            const button = document.createElement("a")
+            button.classList.add("control-button", "slot-button")
+            button.setAttribute("role", "button")
+            button.tabIndex = 0
+            button.classList.toggle("current", i + 1 === currentSlot)
+            button.dataset.slot = i + 1
+            button.textContent = "Slot " + (i + 1) + " · " +
+                (slot ? slot.score + " points, " + slot.highestTile + " tile" : "empty")
+            slotList.appendChild(button)
+        })
+        this.profilePanel.classList.add("visible")
+    }
+
+    /**
+     * Applies the colours of a theme
+     * @param colors {Object<string, string>} the colours, by name
+     */
+    applyTheme = colors => {
+        this.themeStyle.textContent = themeStyleSheet(colors)
+        this.restyle()
+    }
+
+    /**
+     * Picks up the colours of a new theme, which the HTML tiles take from the stylesheet by themselves
+     */
+    restyle = () => {}
+
+    /**
+     * Opens the theme panel
+     * @param themes {{id: string, name: string}[]} the built-in themes, then the custom ones
+     * @param current {string} the id of the current theme
+     * @param colors {Object<string, string>} the colours being edited
+     * @param status {string} a message about the theme
+     */
+    showThemes = (themes, current, colors, status = "") => {
+        const picker = this.themePanel.querySelector(".theme-picker")
+        const table = this.themePanel.querySelector(".theme-colors tbody")
+        this.clearContainer(picker)
+        this.clearContainer(table)
+        themes.forEach(theme => picker.appendChild(new Option(theme.name, theme.id)))
+        picker.value = current
+        this.themePanel.querySelector(".delete-theme-button").classList.toggle("disabled", current in THEMES)
+        const rows = [["Page", "page-background", "text-color"], ["Board", "board-background", "cell-background"],
+            ["Buttons", "button-background", "light-text-color"]]
+            .concat(THEME_TILES.map(value => [value, "tile-" + value + "-background", "tile-" + value + "-color"]))
+            .concat([["Beyond 2048", "tile-super-background", "tile-super-color"]])
+        rows.forEach(([label, ...names]) => {
+            const row = table.insertRow()
+            row.insertCell().textContent = label
+            names.forEach(name => {
+                const cell = row.insertCell()
+                // Colour inputs only take #rrggbb colours, the others can still be imported
+                if (!/^#[0-9a-f]{6}$/i.test(colors[name])) return
+                const input = document.createElement("input")
+                input.type = "color"
+                input.value = colors[name]
+                input.dataset.color = name
+                input.setAttribute("aria-label", label + " " + name.split("-").pop())
+                cell.appendChild(input)
+            })
+        })
+        this.themePanel.querySelector(".theme-status").textContent = status
+        this.themePanel.classList.add("visible")
+    }
+
+    /**
+     * Downloads a theme as a JSON file
+     * @param theme {{name: string, colors: Object<string, string>}} the theme
+     */
+    exportTheme = theme => this.downloadJSON("2048-theme-" + theme.name.replace(/\W+/g, "-").toLowerCase() + ".json", theme)
+
+    /**
+     * Shows the seed of the game as a link starting the same game
+     * @param seed {string} the seed of the game
+     * @param rules {Object} the rules of the game, which pick the values of the spawned tiles
+     * @param mode {Object} the mode of the game, which places the walls and draws the special tiles
+     */
+    updateSeed = (seed, rules, mode) => {
+        this.seedLink.textContent = seed
+        this.seedLink.href = "?seed=" + encodeURIComponent(seed) + "&size=" + this.size +
+            "&rules=" + encodeURIComponent(rules.id) + "&mode=" + encodeURIComponent(mode.id)
+    }
+
+    /**
+     * Shows an arrow over the board pointing in the suggested direction
+     * @param direction {0|1|2|3} the direction
+     */
+    showHint = direction => {
+        this.hintIndicator.textContent = ["↑", "→", "↓", "←"][direction]
+        this.hintIndicator.classList.add("visible")
+        this.announce("Hint: move " + KeyboardInputManager.directions[direction] + ".")
+    }
+
+    /**
+     * Shows whether the game is playing by itself
+     * @param playing {boolean} true if auto-play is on, false otherwise
+     */
+    updateAutoplay = playing => {
+        this.autoplayButton.classList.toggle("active", playing)
+        this.autoplayButton.textContent = playing ? "Stop" : "Auto-play"
+    }
+
+    /**
+     * Opens the statistics panel
+     * @param games {Object[]} the finished games, oldest first
+     */
+    showStats = games => {
+        const stats = summarizeGames(games)
+        const summary = this.statsPanel.querySelector(".stats-summary")
+        const tiles = this.statsPanel.querySelector(".stats-tiles")
+        this.clearContainer(summary)
+        this.clearContainer(tiles)
+        const figures = [
+            ["Played", stats.played],
+            ["Win rate", Math.round(stats.winRate * 100) + "%"],
+            ["Best", stats.bestScore],
+            ["Average", Math.round(stats.averageScore)],
+            ["Median", Math.round(stats.medianScore)],
+            ["Moves", Math.round(stats.averageMoves)]
+        ]
+        figures.forEach(([label, value]) => {
+            const figure = document.createElement("div")
+            const strong = document.createElement("strong")
+            strong.textContent = value
+            figure.appendChild(strong)
+            figure.appendChild(document.createTextNode(label))
+            summary.appendChild(figure)
+        })
+        stats.highestTiles.forEach(([value, count]) => {
+            const row = document.createElement("div")
+            const label = document.createElement("span")
+            const bar = document.createElement("div")
+            row.classList.add("stats-tile-row")
+            bar.classList.add("stats-tile-bar")
+            label.textContent = value
+            bar.style.width = Math.max(1, 300 * count / stats.played) + "px"
+            row.appendChild(label)
+            row.appendChild(bar)
+            row.appendChild(document.createTextNode(Math.round(100 * count / stats.played) + "%"))
+            tiles.appendChild(row)
+        })
+        this.drawScoreChart(this.statsPanel.querySelector(".stats-chart"), games.map(game => game.score))
+        this.statsPanel.classList.add("visible")
+    }
+
+    /**
+     * Opens the leaderboard
+     * @param entries {{name: string, score: number, highestTile: number, size: number, rules: string, date: string}[]}
+     * the entries to list, best first
+     * @param players {string[]} the names of the players on the leaderboard
+     * @param player {?string} the player whose entries are listed, null for everyone
+     * @param current {?string} the date of the entry to highlight
+     */
+    showLeaderboard = (entries, players, player, current = null) => {
+        const picker = this.leaderboardPanel.querySelector(".leaderboard-player")
+        const body = this.leaderboardPanel.querySelector(".leaderboard-table tbody")
+        this.clearContainer(picker)
+        this.clearContainer(body)
+        picker.appendChild(new Option("Everyone", ""))
+        players.forEach(name => picker.appendChild(new Option(name, name)))
+        picker.value = player || ""
+        entries.forEach((entry, i) => {
+            const row = document.createElement("tr")
+            const rules = RULE_PRESETS[entry.rules]
+            const mode = GAME_MODES[entry.mode]
+            const cells = [i + 1, entry.name, entry.score, entry.highestTile, entry.size + "×" + entry.size,
+                (rules ? rules.name : entry.rules) + (mode && mode !== GAME_MODES.endless ? " · " + mode.name : "")]
+            cells.forEach(value => {
+                const cell = document.createElement("td")
+                cell.textContent = value
+                row.appendChild(cell)
+            })
+            row.classList.toggle("current", entry.date === current)
+            body.appendChild(row)
+        })
+        this.leaderboardPanel.querySelector(".clear-leaderboard-button").textContent =
+            player ? "Clear " + player + "’s scores" : "Clear all"
+        this.leaderboardPanel.classList.add("visible")
+    }
+
+    /**
+     * Opens the key settings, listing the keys bound to each action
+     * @param bindings {Object<string, string[]>} the keys bound to each action
+     * @param status {string} the message shown under the list, like a conflict
+     * @param capturing {?string} the action waiting for a key press
+     */
+    showKeySettings = (bindings, status = "", capturing = null) => {
+        const body = this.keySettingsPanel.querySelector(".key-bindings tbody")
+        this.clearContainer(body)
+        Object.keys(bindings).forEach(action => {
+            const row = document.createElement("tr")
+            const name = document.createElement("th")
+            const keys = document.createElement("td")
+            name.textContent = KeyboardInputManager.actionNames[action]
+            bindings[action].forEach(binding => {
+                const key = document.createElement("a")
+                key.classList.add("key-binding")
+                key.dataset.action = action
+                key.dataset.binding = binding
+                key.title = "Remove"
+                key.setAttribute("role", "button")
+                key.setAttribute("aria-label", "Remove " + this.formatBinding(binding))
+                key.tabIndex = 0
+                key.textContent = this.formatBinding(binding) + " ×"
+                keys.appendChild(key)
+            })
+            const add = document.createElement("a")
+            add.classList.add("key-binding", "add-binding")
+            add.dataset.action = action
+            add.setAttribute("role", "button")
+            add.setAttribute("aria-label", "Add a key to " + KeyboardInputManager.actionNames[action].toLowerCase())
+            add.tabIndex = 0
+            add.textContent = action === capturing ? "Press a key…" : "+"
+            keys.appendChild(add)
+            row.appendChild(name)
+            row.appendChild(keys)
+            body.appendChild(row)
+        })
+        this.keySettingsPanel.querySelector(".key-settings-status").textContent = status
+        this.keySettingsPanel.classList.add("visible")
+    }
+
+    /**
+     * Shows the distance and the speed a swipe must reach in the key settings
+     * @param thresholds {{minSwipeDistance: number, minSwipeVelocity: number}} the distance in pixels and the speed in
+     * pixels per millisecond
+     */
+    showSwipeThresholds = thresholds => {
+        this.keySettingsPanel.querySelector(".swipe-distance").value = thresholds.minSwipeDistance
+        this.keySettingsPanel.querySelector(".swipe-velocity").value = thresholds.minSwipeVelocity
+    }
+
+    /**
+     * Returns a readable name of a key binding
+     * @param binding {string} the binding, like "Ctrl+KeyZ"
+     * @returns {string} the name, like "Ctrl+Z"
+     */
+    formatBinding = binding => binding
+        .replace(/(Key|Digit)(\w)$/, "$2")
+        .replace(/Arrow(Up|Right|Down|Left)$/, (match, direction) => ({ Up: "↑", Right: "→", Down: "↓", Left: "←" })[direction])
+
+    /**
+     * Closes the open panels
+     */
+    closePanels = () => document.querySelectorAll(".panel.visible")
+        .forEach(panel => panel.classList.remove("visible"))
+
+    /**
+     * Draws the scores as a line chart
+     * @param svg {SVGElement} the chart, with a 460x150 view box
+     * @param scores {number[]} the scores, oldest first
+     */
+    drawScoreChart = (svg, scores) => {
+        const namespace = "http://www.w3.org/2000/svg"
+        const maxScore = Math.max(1, ...scores)
+        const step = scores.length > 1 ? 460 / (scores.length - 1) : 0
+        this.clearContainer(svg)
+        const line = document.createElementNS(namespace, "polyline")
+        line.setAttribute("points", scores.map((score, i) => (i * step) + "," + (145 - 130 * score / maxScore)).join(" "))
+        svg.appendChild(line)
+        const label = document.createElementNS(namespace, "text")
+        label.setAttribute("x", 4)
+        label.setAttribute("y", 12)
+        label.textContent = scores.length ? maxScore : "No finished game yet"
+        svg.appendChild(label)
+    }
+
+    /**
+     * Shows the replay controls and progress, or hides them outside of a replay
+     * @param replay {?{position: number, length: number, playing: boolean, speed: number}} the replay state
+     */
+    updateReplay = replay => {
+        this.replayControls.classList.toggle("replaying", !!replay)
+        if (replay) {
+            this.replayPlayButton.textContent = replay.playing ? "❚❚" : "▶"
+            this.replaySpeed.value = replay.speed
+            this.replayStatus.textContent = replay.position + " / " + replay.length
+        } else {
+            this.replayStatus.textContent = ""
+        }
+    }
+
+    /**
+     * Reports a recording that could not be replayed
+     */
+    replayError = () => {
+        this.replayStatus.textContent = "Invalid replay file"
+    }
+
+    /**
+     * Downloads a recording as a JSON file
+     * @param recording {Object} the recording
+     */
+    exportRecording = recording => this.downloadJSON("2048-replay-" + recording.seed + ".json", recording)
+
+    /**
+     * Opens the save panel with the current game as text
+     * @param save {Object} the serialized game
+     */
+    showSave = save => {
+        this.saveText.value = JSON.stringify(save)
+        this.saveStatus.textContent = ""
+        this.savePanel.classList.add("visible")
+    }
+
+    /**
+     * Copies the text of the save panel to the clipboard
+     */
+    copySave = () => {
+        this.saveText.select()
+        navigator.clipboard.writeText(this.saveText.value)
+            .then(() => this.saveStatus.textContent = "Copied to the clipboard")
+            .catch(() => this.saveStatus.textContent = "Press Ctrl+C to copy the selected text")
+    }
+
+    /**
+     * Opens the daily challenge panel with a result to share
+     * @param result {{date: string, score: number, highestTile: number, moves: number, board: Object}} the result
+     * @param playing {boolean} whether the attempt is still being played
+     */
+    showDaily = (result, playing) => {
+        this.dailyStatus.textContent = playing ? "Your attempt is under way, the result follows your game." :
+            "You have played the challenge of " + result.date + ", come back tomorrow for a new one."
+        this.dailyText.value = [
+            "2048 daily challenge " + result.date,
+            result.score + " points · " + result.highestTile + " tile · " + result.moves + " moves",
+            emojiBoard(result.board)
+        ].join("\n")
+        this.dailyPanel.classList.add("visible")
+    }
+
+    /**
+     * Copies the result of the daily challenge to the clipboard
+     */
+    copyDaily = () => {
+        this.dailyText.select()
+        navigator.clipboard.writeText(this.dailyText.value)
+            .then(() => this.dailyStatus.textContent = "Copied to the clipboard")
+            .catch(() => this.dailyStatus.textContent = "Press Ctrl+C to copy the selected text")
+    }
+
+    /**
+     * Opens the board editor on a puzzle
+     * @param puzzle {{size: number, rules: string, score: number, tiles: Array[], goal: ?Object}} the puzzle, with its
+     * tiles as [x, y, value, type]
+     * @param code {string} the puzzle, as encoded in its link
+     * @param status {string} the message to show, empty for none
+     */
+    showEditor = (puzzle, code, status) => {
+        const rules = RULE_PRESETS[puzzle.rules]
+        const form = this.editorPanel.querySelector(".editor-form")
+        const target = form.querySelector(".editor-target")
+        if (this.editorBoard.children.length !== puzzle.size * puzzle.size) {
+            this.clearContainer(this.editorBoard)
+            this.editorBoard.style.setProperty("--editor-size", puzzle.size)
+            for (let y = 0; y < puzzle.size; y ++) {
+                for (let x = 0; x < puzzle.size; x ++) {
+                    const cell = document.createElement("a")
+                    cell.className = "editor-cell"
+                    cell.setAttribute("role", "button")
+                    cell.tabIndex = 0
+                    cell.dataset.x = x
+                    cell.dataset.y = y
+                    this.editorBoard.appendChild(cell)
+                }
+            }
+        }
+        Array.from(this.editorBoard.children).forEach(cell => {
+            const position = { x: parseInt(cell.dataset.x, 10), y: parseInt(cell.dataset.y, 10) }
+            const entry = puzzle.tiles.find(([x, y]) => x === position.x && y === position.y)
+            const tile = entry && new Tile(position, entry[2], entry[3])
+            cell.textContent = tile ? tileLabel(tile) : ""
+            cell.classList.toggle("filled", !!tile)
+            cell.setAttribute("aria-label", this.cellName(position) + ": " + (tile ? this.tileName(tile) : "empty"))
+        })
+        this.clearContainer(target)
+        target.appendChild(new Option("None", ""))
+        ruleValues(rules).forEach(value => target.appendChild(new Option(value, value)))
+        target.value = puzzle.goal && puzzle.goal.target || ""
+        form.querySelector(".editor-score").value = puzzle.score
+        form.querySelector(".editor-moves").value = puzzle.goal && puzzle.goal.moves || ""
+        this.editorPanel.querySelector(".editor-rules").textContent = rules.name
+        this.editorStatus.textContent = status
+        this.showPuzzleLink(code)
+        this.editorPanel.classList.add("visible")
+    }
+
+    /**
+     * Shows the link to a puzzle in the board editor
+     * @param code {string} the puzzle, as encoded in its link
+     */
+    showPuzzleLink = code => {
+        this.puzzleLink.value = new URL("#puzzle=" + code, window.location.href).href
+    }
+
+    /**
+     * Copies the link to the puzzle of the board editor to the clipboard
+     */
+    copyPuzzleLink = () => {
+        this.puzzleLink.select()
+        navigator.clipboard.writeText(this.puzzleLink.value)
+            .then(() => this.editorStatus.textContent = "Copied to the clipboard")
+            .catch(() => this.editorStatus.textContent = "Press Ctrl+C to copy the selected text")
+    }
+
+    /**
+     * Downloads a save as a JSON file
+     * @param save {Object} the serialized game
+     */
+    exportSave = save => this.downloadJSON("2048-save-" + save.seed + ".json", save)
+
+    /**
+     * Reports a save that could not be loaded
+     */
+    saveError = () => {
+        this.saveStatus.textContent = "This is not a valid save"
+        this.savePanel.classList.add("visible")
+    }
+
+    /**
+     * Downloads data as a JSON file
+     * @param fileName {string} the name of the file
+     * @param data {Object} the data
+     */
+    downloadJSON = (fileName, data) => {
+        const blob = new Blob([JSON.stringify(data)], { type: "application/json" })
+        const link = document.createElement("a")
+        link.href = URL.createObjectURL(blob)
+        link.download = fileName
+        link.click()
+        setTimeout(() => URL.revokeObjectURL(link.href))
+    }
+
+    /**
+     * Displays a message when the game is over or won
+     * @param isWin {boolean} whether the game is won or lost
+     * @param text {string} the message, "You win!" or "Game over!" by default
+     * @param playerName {string} the name suggested for the leaderboard
+     */
+    message = (isWin, text = isWin ? "You win!" : "Game over!", playerName = "") => {
+        const messageClass = isWin ? "game-won" : "game-over"
+        // "undefined" != typeof gtag && gtag("event", "end", {
+        //     event_category: "game",
+        //     event_label: messageClass,
+        //     value: this.score
+        // })
+        const shown = this.messageContainer.classList.contains(messageClass)
+        this.messageContainer.classList.add(messageClass)
+        this.messageContainer.getElementsByTagName("p")[0].textContent = text
+        if (!this.playerName.value) this.playerName.value = playerName
+        if (!shown) {
+            // Keyboard users land on the button that carries on, and go back where they were once it is pressed
+            this.focusBeforeMessage = document.activeElement
+            this.messageContainer.querySelector(isWin ? ".keep-playing-button" : ".retry-button").focus()
+        }
+    }
+
+    /**
+     * Clears the game message element classes
+     */
+    clearMessage = () => {
+        const focused = this.messageContainer.contains(document.activeElement)
+        this.messageContainer.classList.remove("game-won")
+        this.messageContainer.classList.remove("game-over")
+        if (focused && this.focusBeforeMessage) this.focusBeforeMessage.focus()
+        this.focusBeforeMessage = null
+    }
+}
+
+class CanvasActuator extends HTMLActuator {
+    constructor() {
+        super()
+        this.canvas = document.querySelector(".game-canvas")
+        this.context = this.canvas.getContext("2d")
+        this.tiles = []
+        this.styles = {}
+        this.frame = null
+        this.startTime = 0
+        this.gameContainer.classList.add("canvas-renderer")
+        this.rendererPicker.value = "canvas"
+        window.addEventListener("resize", this.resize)
+    }
+
+    renderer = "canvas"
+
+    /**
+     * Sizes the canvas for a board size
+     * @param size {number} the number of cells on each side of the board
+     */
+    setupBoard = size => {
+        this.clearContainer(this.gridContainer)
+        this.clearContainer(this.tileContainer)
+        this.tiles = []
+        this.resize()
+    }
+
+    /**
+     * Stops drawing and gives the board back to the HTML tiles
+     */
+    teardownBoard = () => {
+        window.cancelAnimationFrame(this.frame)
+        window.removeEventListener("resize", this.resize)
+        this.context.clearRect(0, 0, this.canvas.width, this.canvas.height)
+        this.gameContainer.classList.remove("canvas-renderer")
+    }
+
+    /**
+     * Fits the canvas to the game container, which is smaller on mobile screens
+     */
+    resize = () => {
+        const ratio = window.devicePixelRatio || 1
+        this.width = this.gameContainer.clientWidth
+        this.gap = parseFloat(window.getComputedStyle(this.gameContainer).paddingLeft)
+        this.cellSize = (this.width - this.gap * (this.size + 1)) / this.size
+        this.canvas.width = this.canvas.height = Math.round(this.width * ratio)
+        this.canvas.style.width = this.canvas.style.height = this.width + "px"
+        this.context.setTransform(ratio, 0, 0, ratio, 0, 0)
+        // The colours and the font sizes depend on the media queries
+        this.restyle()
+    }
+
+    /**
+     * Reads the colours and the fonts from the stylesheet again, and redraws the board with them
+     */
+    restyle = () => {
+        this.styles = {}
+        this.drawFrame(Infinity)
+    }
+
+    /**
+     * Draws the tiles of the grid, animated from their previous positions
+     * @param grid {Grid} the grid
+     */
+    renderTiles = grid => {
+        const position = tile => tile.previousPosition ? { x: tile.previousPosition.x, y: tile.previousPosition.y } : null
+        this.tiles = []
+        grid.cells.forEach(line => line.forEach(tile => tile && this.tiles.push({
+            x: tile.x,
+            y: tile.y,
+            value: tile.value,
+            type: tile.type,
+            from: position(tile),
+            mergedFrom: tile.mergedFrom && tile.mergedFrom.map(source =>
+                ({ x: source.x, y: source.y, value: source.value, type: source.type, from: position(source) }))
+        })))
+        this.startTime = window.performance.now()
+        this.animate(this.reducedMotion() ? Infinity : this.startTime)
+    }
+
+    /**
+     * Draws a frame, then schedules the next one until the animations are over
+     * @param now {number} the time of the frame in milliseconds
+     */
+    animate = now => {
+        const elapsed = now - this.startTime
+        this.drawFrame(elapsed)
+        window.cancelAnimationFrame(this.frame)
+        this.frame = elapsed < 300 ? window.requestAnimationFrame(this.animate) : null
+    }
+
+    /**
+     * Draws the board as it is some time after the move, with the timings of the CSS animations:
+     * the tiles slide for 100ms, then the merged tiles pop and the new tile appears for 200ms
+     * @param elapsed {number} the time since the move in milliseconds
+     */
+    drawFrame = elapsed => {
+        const context = this.context
+        const slide = Math.min(1, elapsed / 100)
+        const eased = slide < .5 ? 2 * slide * slide : 1 - 2 * (1 - slide) * (1 - slide)
+        const after = Math.min(1, Math.max(0, (elapsed - 100) / 200))
+        context.clearRect(0, 0, this.width, this.width)
+        for (let x = 0; x < this.size; x ++) {
+            for (let y = 0; y < this.size; y ++) {
+                this.drawSquare(x, y, 1, this.cellStyle().background)
+            }
+        }
+        this.tiles.forEach(tile => {
+            if (tile.mergedFrom) {
+                if (after > 0) {
+                    this.drawTile(tile, tile.x, tile.y, after < .5 ? 2.4 * after : 1.4 - .4 * after)
+                } else {
+                    tile.mergedFrom.forEach(source => this.drawSliding(source, eased))
+                }
+            } else if (tile.from) {
+                this.drawSliding(tile, eased)
+            } else if (after > 0) {
+                context.globalAlpha = after
+                this.drawTile(tile, tile.x, tile.y, after)
+                context.globalAlpha = 1
+            }
+        })
+    }
+
+    /**
+     * Draws a tile on its way from its previous position
+     * @param tile {{x: number, y: number, value: number, type: string, from: ?{x: number, y: number}}} the tile
+     * @param progress {number} how far along the way the tile is, from 0 to 1
+     */
+    drawSliding = (tile, progress) => {
+        const from = tile.from || tile
+        this.drawTile(tile, from.x + (tile.x - from.x) * progress, from.y + (tile.y - from.y) * progress)
+    }
+
+    /**
+     * Draws a tile
+     * @param tile {{value: number, type: string}} the tile
+     * @param x {number} the column, possibly between two cells
+     * @param y {number} the row, possibly between two cells
+     * @param scale {number} the size of the tile relative to a cell
+     */
+    drawTile = (tile, x, y, scale = 1) => {
+        const style = this.tileStyle(tile)
+        const center = this.cellCenter(x, y)
+        this.drawSquare(x, y, scale, style.background)
+        this.context.save()
+        this.context.translate(center.x, center.y)
+        this.context.scale(scale, scale)
+        this.context.fillStyle = style.color
+        this.context.font = style.font
+        this.context.textAlign = "center"
+        this.context.textBaseline = "middle"
+        this.context.fillText(tileLabel(tile), 0, 0)
+        this.context.restore()
+    }
+
+    /**
+     * Fills a rounded square over a cell
+     * @param x {number} the column, possibly between two cells
+     * @param y {number} the row, possibly between two cells
+     * @param scale {number} the size of the square relative to a cell
+     * @param color {string} the colour of the square
+     */
+    drawSquare = (x, y, scale, color) => {
+        const center = this.cellCenter(x, y)
+        const size = this.cellSize * scale
+        const radius = 3 * scale
+        const left = center.x - size / 2
+        const top = center.y - size / 2
+        const context = this.context
+        context.fillStyle = color
+        context.beginPath()
+        context.moveTo(left + radius, top)
+        context.arcTo(left + size, top, left + size, top + size, radius)
+        context.arcTo(left + size, top + size, left, top + size, radius)
+        context.arcTo(left, top + size, left, top, radius)
+        context.arcTo(left, top, left + size, top, radius)
+        context.closePath()
+        context.fill()
+    }
+
+    /**
+     * Returns the center of a cell on the canvas
+     * @param x {number} the column
+     * @param y {number} the row
+     * @returns {{x: number, y: number}} the center in pixels
+     */
+    cellCenter = (x, y) => ({
+        x: this.gap + x * (this.cellSize + this.gap) + this.cellSize / 2,
+        y: this.gap + y * (this.cellSize + this.gap) + this.cellSize / 2
+    })
+
+    /**
+     * Returns the colours and the font of a tile, read from the stylesheet so that both renderers look alike
+     * @param source {{value: number, type: string}} the tile
+     * @returns {{background: string, color: string, font: string}} the style of the tile
+     */
+    tileStyle = source => {
+        const key = HTMLActuator.tileClass(source, this.mergeRule)
+        if (this.styles[key]) return this.styles[key]
+        const tile = document.createElement("div")
+        const inner = document.createElement("div")
+        this.applyClasses(tile, ["tile", key])
+        inner.classList.add("tile-inner")
+        tile.appendChild(inner)
+        this.tileContainer.appendChild(tile)
+        const computed = window.getComputedStyle(inner)
+        const style = {
+            background: computed.backgroundColor,
+            color: computed.color,
+            font: "bold " + computed.fontSize + " " + computed.fontFamily
+        }
+        this.tileContainer.removeChild(tile)
+        return this.keepStyle(key, style)
+    }
+
+    /**
+     * Caches a style read from the stylesheet, unless the stylesheet, which loads asynchronously, is not applied yet
+     * @param key {string|number} the key of the style
+     * @param style {{background: string}} the style
+     * @returns {{background: string}} the style
+     */
+    keepStyle = (key, style) => {
+        if (style.background !== "rgba(0, 0, 0, 0)") this.styles[key] = style
+        return style
+    }
+
+    /**
+     * Returns the colour of the empty cells, read from the stylesheet
+     * @returns {{background: string}} the style of the cells
+     */
+    cellStyle = () => {
+        if (this.styles.cell) return this.styles.cell
+        const cell = document.createElement("div")
+        cell.classList.add("grid-cell")
+        this.gridContainer.appendChild(cell)
+        const style = { background: window.getComputedStyle(cell).backgroundColor }
+        this.gridContainer.removeChild(cell)
+        return this.keepStyle("cell", style)
+    }
+}
+
+/**
+ * Returns the classes giving a tile its colours: the numbers take the ones of the classic tile of the same rank
+ * @param tile {{value: number, type: string}} the tile
+ * @param rule {Object} the merge rule of the game, one of MERGE_RULES
+ * @returns {string} the class of the type for the special tiles, of the classic value for the numbers, followed by
+ * tile-super beyond 2048
+ */
+HTMLActuator.tileClass = (tile, rule) => {
+    if (tile.type !== "number") return "tile-" + tile.type
+    const rank = rule.rank(tile.value)
+    return "tile-" + 2 ** rank + (rank > 11 ? " tile-super" : "")
+}
+
+/**
+ * Formats a countdown
+ * @param time {number} the time in milliseconds
+ * @returns {string} the minutes and seconds, like "2:05"
+ */
+HTMLActuator.formatTime = time => {
+    const seconds = Math.ceil(time / 1000)
+    return Math.floor(seconds / 60) + ":" + String(seconds % 60).padStart(2, "0")
+}
+
+class VersusActuator extends HTMLActuator {
+    /**
+     * @param board {HTMLElement} the board of the player, with its score and its game container
+     */
+    constructor(board) {
+        const renderer = document.querySelector(".renderer-picker").value
+        super()
+        // The renderer picker belongs to the single game
+        this.rendererPicker.value = renderer
+        this.board = board
+        this.gameContainer = board.querySelector(".game-container")
+        this.gridContainer = board.querySelector(".grid-container")
+        this.tileContainer = board.querySelector(".tile-container")
+        this.scoreContainer = board.querySelector(".score-container")
+        this.boardTable = board.querySelector(".board-table")
+    }
+
+    boardScope = ".versus-board "
+
+    /**
+     * Sets the board up for a board size, leaving the pickers of the single game alone
+     * @param size {number} the number of cells on each side of the board
+     */
+    setupGrid = size => {
+        this.size = size
+        this.gameContainer.style.setProperty("--tile-scale", 4 / size)
+        this.setupBoard(size)
+    }
+
+    /**
+     * Updates the tiles and the score. The result of the match is shown for both boards at once
+     * @param grid {Grid} the grid
+     * @param gameState {{score: number, over: boolean}} the state of the game
+     */
+    actuate = (grid, gameState) => {
+        window.requestAnimationFrame(() => {
+            this.renderTiles(grid)
+            this.updateBoardTable(grid)
+            this.updateScore(gameState.score)
+            this.gameContainer.classList.toggle("finished", gameState.over)
+        })
+    }
+
+    // Both players move at once, too fast for their moves to be read aloud
+    announceMove = () => {}
+
+    continueGame = () => {}
+
+    // The boards keep the theme of the page
+    applyTheme = () => {}
+}
+
+/**
+ * Creates the actuator of a renderer
+ * @param renderer {"dom"|"canvas"} the renderer
+ * @returns {HTMLActuator} the actuator
+ */
+function createActuator(renderer) {
+    return renderer === "canvas" ? new CanvasActuator() : new HTMLActuator()
+}
+
+// The tiles coloured one by one by the themes, the ones beyond get a generated scale
+const THEME_TILES = [2, 4, 8, 16, 32, 64, 128, 256, 512, 1024, 2048]
+
+// The colours of a theme, named after the CSS custom properties they set
+const THEME_COLORS = ["page-background", "text-color", "light-text-color", "board-background", "cell-background",
+    "button-background", "overlay-background", "panel-backdrop"]
+    .concat(...THEME_TILES.concat("super").map(value => ["tile-" + value + "-background", "tile-" + value + "-color"]))
+
+// Hexadecimal, rgb() and hsl() colours, which cannot break out of the generated stylesheet
+const THEME_COLOR_PATTERN = /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\([\d\s.,%]+\))$/i
+
+/**
+ * Names the colours of a theme
+ * @param page {string[]} the colours of the page, in the order of THEME_COLORS
+ * @param tiles {string[][]} the background and text colours of the tiles from 2 to 2048, then of the ones beyond
+ * @returns {Object<string, string>} the colours, by name
+ */
+function themeColors(page, tiles) {
+    const values = page.concat(...tiles)
+    const colors = {}
+    THEME_COLORS.forEach((name, i) => colors[name] = values[i])
+    return colors
+}
+
+/**
+ * The built-in themes
+ */
+const THEMES = {
+    classic: {
+        id: "classic",
+        name: "Classic",
+        colors: themeColors(
+            ["#faf8ef", "#776e65", "#f9f6f2", "#bbada0", "rgba(238, 228, 218, 0.35)", "#8f7a66",
+                "rgba(238, 228, 218, 0.73)", "rgba(250, 248, 239, 0.85)"],
+            [["#eee4da", "#776e65"], ["#eee1c9", "#776e65"], ["#f3b27a", "#f9f6f2"], ["#f69664", "#f9f6f2"],
+                ["#f77c5f", "#f9f6f2"], ["#f75f3b", "#f9f6f2"], ["#edd073", "#f9f6f2"], ["#edcc62", "#f9f6f2"],
+                ["#edc950", "#f9f6f2"], ["#edc53f", "#f9f6f2"], ["#edc22e", "#f9f6f2"], ["#3c3a33", "#f9f6f2"]])
+    },
+    dark: {
+        id: "dark",
+        name: "Dark",
+        colors: themeColors(
+            ["#1f1d1a", "#d6cdc4", "#f9f6f2", "#3a3631", "rgba(255, 255, 255, 0.06)", "#5c5148",
+                "rgba(31, 29, 26, 0.73)", "rgba(31, 29, 26, 0.85)"],
+            [["#4a443d", "#e8e1d9"], ["#5a5146", "#e8e1d9"], ["#b0683a", "#f9f6f2"], ["#b8552f", "#f9f6f2"],
+                ["#bd4430", "#f9f6f2"], ["#c1331f", "#f9f6f2"], ["#b89a3c", "#f9f6f2"], ["#b99331", "#f9f6f2"],
+                ["#ba8c26", "#f9f6f2"], ["#bb851b", "#f9f6f2"], ["#bc7e10", "#f9f6f2"], ["#6b4fa8", "#f9f6f2"]])
+    },
+    highContrast: {
+        id: "highContrast",
+        name: "High contrast",
+        colors: themeColors(
+            ["#000000", "#ffffff", "#ffffff", "#4d4d4d", "#1a1a1a", "#0033cc",
+                "rgba(0, 0, 0, 0.85)", "rgba(0, 0, 0, 0.9)"],
+            [["#ffffff", "#000000"], ["#ffff00", "#000000"], ["#00ffff", "#000000"], ["#00ff00", "#000000"],
+                ["#ff00ff", "#000000"], ["#ff0000", "#ffffff"], ["#0000ff", "#ffffff"], ["#ff8000", "#000000"],
+                ["#8000ff", "#ffffff"], ["#008000", "#ffffff"], ["#ffd700", "#000000"], ["#c0c0c0", "#000000"]])
+    },
+    colorBlind: {
+        id: "colorBlind",
+        name: "Colour-blind safe",
+        // The Okabe-Ito palette, told apart with any colour vision
+        colors: themeColors(
+            ["#f7f7f7", "#333333", "#ffffff", "#8c8c8c", "rgba(255, 255, 255, 0.35)", "#0072b2",
+                "rgba(247, 247, 247, 0.73)", "rgba(247, 247, 247, 0.85)"],
+            [["#ffffff", "#333333"], ["#e0e0e0", "#333333"], ["#56b4e9", "#000000"], ["#e69f00", "#000000"],
+                ["#009e73", "#ffffff"], ["#d55e00", "#ffffff"], ["#f0e442", "#000000"], ["#0072b2", "#ffffff"],
+                ["#cc79a7", "#000000"], ["#004d7a", "#ffffff"], ["#000000", "#f0e442"], ["#5b3f8c", "#ffffff"]])
+    }
+}
+
+/**
+ * Reads a theme, for example an imported one. Missing colours are taken from the classic theme
+ * @param data {string|Object} the theme, or its JSON
+ * @returns {?{name: string, colors: Object<string, string>}} the theme, null if it is not valid
+ */
+function readTheme(data) {
+    let theme = data
+    if (typeof data === "string") {
+        try {
+            theme = JSON.parse(data)
+        } catch (e) {
+            return null
+        }
+    }
+    if (!theme || typeof theme.name !== "string" || !theme.name.trim() || !theme.colors || typeof theme.colors !== "object") {
+        return null
+    }
+    const names = THEME_COLORS.filter(name => name in theme.colors)
+    if (!names.length || names.some(name => !THEME_COLOR_PATTERN.test(theme.colors[name]))) {
+        return null
+    }
+    const colors = Object.assign({}, THEMES.classic.colors)
+    names.forEach(name => colors[name] = theme.colors[name])
+    return { name: theme.name.trim().slice(0, 20), colors: colors }
+}
+
+/**
+ * Returns the CSS of a theme: its colours as custom properties, and a scale for the tiles beyond 2048,
+ * generated from their colour by turning the hue at each tile
+ * @param colors {Object<string, string>} the colours, by name
+ * @returns {string} the CSS rules
+ */
+function themeStyleSheet(colors) {
+    const properties = THEME_COLORS.map(name => `    --${name}: ${colors[name]};`)
+    const rules = []
+    const base = hexToHsl(colors["tile-super-background"])
+    for (let value = 4096, step = 1; base && value <= 2 ** 24; value *= 2, step ++) {
+        const background = hslToHex((base.h + 35 * step) % 360, Math.max(base.s, .4),
+            Math.min(Math.max(base.l, .25), .55) + (step % 2 ? .1 : 0))
+        properties.push(`    --tile-${value}-background: ${background};`,
+            `    --tile-${value}-color: ${isLight(background) ? "#1f1d1a" : "#f9f6f2"};`)
+        rules.push(`.tile.tile-${value} .tile-inner { background: var(--tile-${value}-background); color: var(--tile-${value}-color); }`)
+    }
+    return ":root {\n" + properties.join("\n") + "\n}\n" + rules.join("\n") + "\n"
+}
+
+/**
+ * Converts a #rrggbb colour to hue, saturation and lightness
+ * @param hex {string} the colour
+ * @returns {?{h: number, s: number, l: number}} the hue in degrees, the saturation and the lightness from 0 to 1,
+ * null if the colour is not in the #rrggbb format
+ */
+function hexToHsl(hex) {
+    if (!/^#[0-9a-f]{6}$/i.test(hex)) return null
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255)
+    const max = Math.max(r, g, b)
+    const min = Math.min(r, g, b)
+    const l = (max + min) / 2
+    const d = max - min
+    if (!d) return { h: 0, s: 0, l: l }
+    const h = max === r ? (g - b) / d + (g < b ? 6 : 0) : max === g ? (b - r) / d + 2 : (r - g) / d + 4
+    return { h: h * 60, s: d / (1 - Math.abs(2 * l - 1)), l: l }
+}
+
+/**
+ * Converts hue, saturation and lightness to a #rrggbb colour
+ * @param h {number} the hue in degrees
+ * @param s {number} the saturation from 0 to 1
+ * @param l {number} the lightness from 0 to 1
+ * @returns {string} the colour
+ */
+function hslToHex(h, s, l) {
+    const a = s * Math.min(l, 1 - l)
+    const channel = n => {
+        const k = (n + h / 30) % 12
+        const value = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))
+        return Math.round(value * 255).toString(16).padStart(2, "0")
+    }
+    return "#" + channel(0) + channel(8) + channel(4)
+}
+
+/**
+ * Tells whether dark text reads better than light text on a colour
+ * @param hex {string} the #rrggbb colour
+ * @returns {boolean} true for light colours
+ */
+function isLight(hex) {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16))
+    return .299 * r + .587 * g + .114 * b > 160
+}
+
+/**
+ * Computes the statistics of the finished games
+ * @param games {{score: number, highestTile: number, moves: number, won: boolean}[]} the finished games
+ * @returns {{played: number, winRate: number, bestScore: number, averageScore: number, medianScore: number, averageMoves: number, highestTiles: number[][]}}
+ * the statistics, where highestTiles lists [tile, number of games] from the highest tile down
+ */
+function summarizeGames(games) {
+    const scores = games.map(game => game.score).sort((a, b) => a - b)
+    const middle = Math.floor(scores.length / 2)
+    const highestTiles = {}
+    games.forEach(game => highestTiles[game.highestTile] = (highestTiles[game.highestTile] || 0) + 1)
+    const sum = values => values.reduce((total, value) => total + value, 0)
+    return {
+        played: games.length,
+        winRate: games.length ? games.filter(game => game.won).length / games.length : 0,
+        bestScore: scores.length ? scores[scores.length - 1] : 0,
+        averageScore: games.length ? sum(scores) / games.length : 0,
+        medianScore: !scores.length ? 0 : scores.length % 2 ? scores[middle] : (scores[middle - 1] + scores[middle]) / 2,
+        averageMoves: games.length ? sum(games.map(game => game.moves)) / games.length : 0,
+        highestTiles: Object.keys(highestTiles)
+            .map(tile => [parseInt(tile, 10), highestTiles[tile]])
+            .sort((a, b) => b[0] - a[0])
+    }
+}
+
+class AISolver {
+    /**
+     * @param workerUrl {string} the URL of the search worker script
+     */
+    constructor(workerUrl) {
+        this.worker = new Worker(workerUrl)
+        this.requests = {}
+        this.nextId = 0
+        this.worker.onmessage = event => {
+            // The requests are dropped when the worker fails, their late answers with them
+            const request = this.requests[event.data.id]
+            if (!request) return
+            delete this.requests[event.data.id]
+            request.resolve(event.data)
+        }
+        this.worker.onerror = event => {
+            Object.values(this.requests).forEach(request => request.reject(event))
+            this.requests = {}
+        }
+    }
+
+    /**
+     * Searches for the best move of a game in the worker
+     * @param state {Object} the serialized game
+     * @returns {Promise<{direction: ?number, scores: number[]}>} the best direction, null when no move is possible
+     */
+    bestMove = state => new Promise((resolve, reject) => {
+        const id = this.nextId ++
+        this.requests[id] = { resolve: resolve, reject: reject }
+        this.worker.postMessage({ id: id, state: state })
+    })
+}
+
+class MemoryStorage {
+    constructor() {
+        this.data = new Map()
+        this.persistent = false
+    }
+
+    /**
+     * Returns the value of a key
+     * @param key {string} the key
+     * @returns {Promise<?string>} the value, null if the key is missing
+     */
+    get = key => Promise.resolve(this.data.has(key) ? this.data.get(key) : null)
+
+    /**
+     * Sets the value of a key
+     * @param key {string} the key
+     * @param value {string} the value
+     * @returns {Promise} resolved once the value is written
+     */
+    set = (key, value) => {
+        this.data.set(key, value)
+        return Promise.resolve()
+    }
+
+    /**
+     * Removes a key
+     * @param key {string} the key
+     * @returns {Promise} resolved once the key is removed
+     */
+    remove = key => {
+        this.data.delete(key)
+        return Promise.resolve()
+    }
+
+    /**
+     * Returns every key and its value
+     * @returns {Promise<string[][]>} the [key, value] pairs
+     */
+    entries = () => Promise.resolve(Array.from(this.data.entries()))
+}
+
+class WebStorage {
+    /**
+     * @param storage {Storage} the Web Storage area, like window.localStorage
+     */
+    constructor(storage) {
+        this.storage = storage
+        this.persistent = true
+    }
+
+    /**
+     * Checks if local storage can be written to, which private browsing may prevent
+     * @returns {boolean} true if local storage is supported, false otherwise
+     */
+    static isSupported = () => {
+        const testValue = "test"
+        try {
+            window.localStorage.setItem(testValue, "1")
+            window.localStorage.removeItem(testValue)
+            return true
+        } catch (e) {
+            return false
+        }
+    }
+
+    /**
+     * Returns the value of a key
+     * @param key {string} the key
+     * @returns {Promise<?string>} the value, null if the key is missing
+     */
+    get = key => new Promise(resolve => resolve(this.storage.getItem(key)))
+
+    /**
+     * Sets the value of a key
+     * @param key {string} the key
+     * @param value {string} the value
+     * @returns {Promise} resolved once the value is written, rejected when the storage is full
+     */
+    set = (key, value) => new Promise(resolve => resolve(this.storage.setItem(key, value)))
+
+    /**
+     * Removes a key
+     * @param key {string} the key
+     * @returns {Promise} resolved once the key is removed
+     */
+    remove = key => new Promise(resolve => resolve(this.storage.removeItem(key)))
+
+    /**
+     * Returns every key and its value
+     * @returns {Promise<string[][]>} the [key, value] pairs
+     */
+    entries = () => new Promise(resolve => {
+        const entries = []
+        for (let i = 0; i < this.storage.length; i ++) {
+            const key = this.storage.key(i)
+            entries.push([key, this.storage.getItem(key)])
+        }
+        resolve(entries)
+    })
+}
+
+class IndexedDBStorage {
+    /**
+     * @param db {IDBDatabase} the database, with a "keyval" object store
+     */
+    constructor(db) {
+        this.db = db
+        this.persistent = true
+    }
+
+    /**
+     * Opens the database, creating it on the first visit
+     * @param name {string} the name of the database
+     * @returns {Promise<IndexedDBStorage>} the storage
+     */
+    static open = (name = "2048") => new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(name, 1)
+        request.onupgradeneeded = () => request.result.createObjectStore("keyval")
+        request.onsuccess = () => resolve(new IndexedDBStorage(request.result))
+        request.onerror = () => reject(request.error)
+    })
+
+    /**
+     * Runs a request on the object store
+     * @param mode {"readonly"|"readwrite"} the mode of the transaction
+     * @param operation {function(IDBObjectStore): IDBRequest} the request to run
+     * @returns {Promise<*>} the result of the request
+     */
+    request = (mode, operation) => new Promise((resolve, reject) => {
+        const request = operation(this.db.transaction("keyval", mode).objectStore("keyval"))
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+    })
+
+    /**
+     * Returns the value of a key
+     * @param key {string} the key
+     * @returns {Promise<?string>} the value, null if the key is missing
+     */
+    get = key => this.request("readonly", store => store.get(key)).then(value => value === undefined ? null : value)
+
+    /**
+     * Sets the value of a key
+     * @param key {string} the key
+     * @param value {string} the value
+     * @returns {Promise} resolved once the value is written
+     */
+    set = (key, value) => this.request("readwrite", store => store.put(value, key))
+
+    /**
+     * Removes a key
+     * @param key {string} the key
+     * @returns {Promise} resolved once the key is removed
+     */
+    remove = key => this.request("readwrite", store => store.delete(key))
+
+    /**
+     * Returns every key and its value, read in one transaction so that they match
+     * @returns {Promise<string[][]>} the [key, value] pairs
+     */
+    entries = () => new Promise((resolve, reject) => {
+        const transaction = this.db.transaction("keyval", "readonly")
+        const store = transaction.objectStore("keyval")
+        const keys = store.getAllKeys()
+        const values = store.getAll()
+        transaction.oncomplete = () => resolve(keys.result.map((key, i) => [key, values.result[i]]))
+        transaction.onerror = () => reject(transaction.error)
+    })
+}
+
+/**
+ * Opens the best storage available: IndexedDB, then local storage, then memory, which is lost on leaving the page
+ * @returns {Promise<IndexedDBStorage|WebStorage|MemoryStorage>} the storage
+ */
+function openStorage() {
+    const fallback = () => WebStorage.isSupported() ? new WebStorage(window.localStorage) : new MemoryStorage()
+    if (!window.indexedDB) {
+        return Promise.resolve(fallback())
+    }
+    return IndexedDBStorage.open().then(storage => storage.entries().then(entries => {
+        if (entries.length || !WebStorage.isSupported()) return storage
+        // Carries over the progress saved in local storage before the move to IndexedDB
+        return new WebStorage(window.localStorage).entries()
+            .then(saved => Promise.all(saved.map(([key, value]) => storage.set(key, value))))
+            .then(() => storage)
+    })).catch(fallback)
+}
+
+class StorageManager {
+    /**
+     * @param backend {IndexedDBStorage|WebStorage|MemoryStorage} where the data is kept
+     */
+    constructor(backend) {
+        this.profilesKey = "profiles"
+        this.currentProfileKey = "currentProfile"
+        this.noticeClosedKey = "noticeClosed"
+        // A single attempt a day on the device, whichever the profile
+        this.dailyKey = "daily"
+        this.cookieNoticeClosedKey = "cookieNoticeClosed"
+        this.backend = backend
+        this.persistent = backend.persistent
+        this.cache = new Map()
+    }
+
+    /**
+     * Reads everything from the storage, then picks the last profile used.
+     * The data is then read from memory and written through to the storage
+     * @returns {Promise} resolved once the data is loaded
+     */
+    load = () => this.backend.entries().then(entries => {
+        entries.forEach(([key, value]) => this.cache.set(key, value))
+        const profile = this.getItem(this.currentProfileKey)
+        this.size = 4
+        this.mode = "endless"
+        this.useProfile(this.getProfiles().some(p => p.id === profile) ? profile : "default")
+    })
+
+    /**
+     * Returns the value of a key
+     * @param key {string} the key
+     * @returns {?string} the value, null if the key is missing
+     */
+    getItem = key => this.cache.has(key) ? this.cache.get(key) : null
+
+    /**
+     * Sets the value of a key
+     * @param key {string} the key
+     * @param value {*} the value, stored as a string
+     */
+    setItem = (key, value) => {
+        this.cache.set(key, String(value))
+        this.write(this.backend.set(key, String(value)))
+    }
+
+    /**
+     * Removes a key
+     * @param key {string} the key
+     */
+    removeItem = key => {
+        this.cache.delete(key)
+        this.write(this.backend.remove(key))
+    }
+
+    /**
+     * Waits for a write, noting when the storage fails, for example when it is full
+     * @param write {Promise} the write
+     */
+    write = write => write.catch(() => this.persistent = false)
+
+    /**
+     * Returns the keys of a profile, board size and save slot.
+     * The default profile, the 4x4 board, the first slot and the endless mode keep the original keys so existing
+     * saves are found
+     * @param profile {string} the id of the profile
+     * @param size {number} the board size
+     * @param slot {number} the save slot, from 1
+     * @param mode {string} the game mode, a key of GAME_MODES
+     * @returns {Object<string, string>} the keys, by name
+     */
+    keysFor = (profile, size, slot, mode = "endless") => {
+        const prefix = profile === "default" ? "" : "profile-" + profile + "-"
+        const board = size === 4 ? "" : "-" + size + "x" + size
+        const game = board + (slot === 1 ? "" : "-slot" + slot)
+        return {
+            bestScoreKey: prefix + "bestScore" + board + (mode === "endless" ? "" : "-" + mode),
+            gameStateKey: prefix + "gameState" + game,
+            historyKey: prefix + "gameHistory" + game,
+            recordingKey: prefix + "gameRecording" + game,
+            boardSizeKey: prefix + "boardSize",
+            rulesKey: prefix + "rules",
+            modeKey: prefix + "mode",
+            statsKey: prefix + "gameStats",
+            playerNameKey: prefix + "playerName",
+            keyBindingsKey: prefix + "keyBindings",
+            undoLimitKey: prefix + "undoLimit",
+            swipeThresholdsKey: prefix + "swipeThresholds",
+            rendererKey: prefix + "renderer",
+            themeKey: prefix + "theme",
+            customThemesKey: prefix + "customThemes",
+            leaderboardKey: prefix + "leaderboard",
+            slotKey: prefix + "slot"
+        }
+    }
+
+    /**
+     * Points the keys at the current profile, board size and save slot
+     */
+    updateKeys = () => Object.assign(this, this.keysFor(this.profile, this.size, this.slot, this.mode))
+
+    /**
+     * Points the keys at a profile, on the save slot it used last
+     * @param profile {string} the id of the profile
+     */
+    useProfile = profile => {
+        this.profile = profile
+        this.setItem(this.currentProfileKey, profile)
+        this.slot = parseInt(this.getItem(this.keysFor(profile, 4, 1).slotKey), 10) || 1
+        this.updateKeys()
+    }
+
+    /**
+     * Points the best score and game state keys at a board size
+     * @param size {number} the board size
+     */
+    useBoardSize = size => {
+        this.size = size
+        this.updateKeys()
+    }
+
+    /**
+     * Points the best score key at a game mode
+     * @param mode {string} the game mode, a key of GAME_MODES
+     */
+    useMode = mode => {
+        this.mode = mode
+        this.updateKeys()
+    }
+
+    /**
+     * Points the game state keys at a save slot, which is kept for the next visits
+     * @param slot {number} the save slot, from 1
+     */
+    useSlot = slot => {
+        this.slot = slot
+        this.setItem(this.slotKey, slot)
+        this.updateKeys()
+    }
+
+    /**
+     * Returns the profiles
+     * @returns {{id: string, name: string}[]} the profiles, the default one first
+     */
+    getProfiles = () => this.readJSON(this.profilesKey, null) || [{ id: "default", name: "Player 1" }]
+
+    /**
+     * Returns the current profile
+     * @returns {{id: string, name: string}} the profile
+     */
+    getProfile = () => this.getProfiles().find(profile => profile.id === this.profile)
+
+    /**
+     * Adds a profile
+     * @param name {string} the name of the profile
+     * @returns {string} the id of the profile
+     */
+    addProfile = name => {
+        const profiles = this.getProfiles()
+        const id = Date.now().toString(36)
+        profiles.push({ id: id, name: name })
+        this.setItem(this.profilesKey, JSON.stringify(profiles))
+        return id
+    }
+
+    /**
+     * Removes a profile and everything saved for it. The default profile cannot be removed
+     * @param id {string} the id of the profile
+     */
+    deleteProfile = id => {
+        if (id === "default") return
+        this.setItem(this.profilesKey, JSON.stringify(this.getProfiles().filter(profile => profile.id !== id)))
+        const prefix = "profile-" + id + "-"
+        Array.from(this.cache.keys()).filter(key => key.startsWith(prefix)).forEach(this.removeItem)
+    }
+
+    /**
+     * Describes the game saved in each slot of the current profile, on the current board size
+     * @returns {?{score: number, highestTile: number}[]} the score and highest tile of each slot, null when empty
+     */
+    getSlots = () => {
+        const slots = []
+        for (let slot = 1; slot <= StorageManager.slotCount; slot ++) {
+            const state = readSave(this.readJSON(this.keysFor(this.profile, this.size, slot).gameStateKey, null))
+            slots.push(state && {
+                score: state.score,
+                highestTile: new Grid(state.grid.size, state.grid.cells).highestValue()
+            })
+        }
+        return slots
+    }
+
+    /**
+     * Returns the last board size played
+     * @returns {number} the board size
+     */
+    getBoardSize = () => parseInt(this.getItem(this.boardSizeKey), 10) || 4
+
+    /**
+     * Sets the last board size played
+     * @param size {number} the board size
+     */
+    setBoardSize = size => this.setItem(this.boardSizeKey, size)
+
+    /**
+     * Returns the finished games
+     * @returns {Object[]} the finished games, oldest first
+     */
+    getStats = () => this.readJSON(this.statsKey, [])
+
+    /**
+     * Adds a finished game to the statistics
+     * @param game {{date: string, score: number, highestTile: number, moves: number, duration: number, won: boolean, size: number, rules: string}} the finished game
+     */
+    addGameStats = game => {
+        const games = this.getStats()
+        games.push(game)
+        this.setItem(this.statsKey, JSON.stringify(games))
+    }
+
+    /**
+     * Returns the result of a daily challenge
+     * @param date {string} the day of the challenge, as YYYY-MM-DD
+     * @returns {?{date: string, startedAt: number, score: number, highestTile: number, moves: number, board: Object, over: boolean}}
+     * the result, null when the challenge was not played
+     */
+    getDailyResult = date => this.readJSON(this.dailyKey, {})[date] || null
+
+    /**
+     * Sets the result of a daily challenge
+     * @param result {{date: string, startedAt: number}} the result, with the start of the attempt
+     */
+    setDailyResult = result => {
+        const results = this.readJSON(this.dailyKey, {})
+        results[result.date] = result
+        this.setItem(this.dailyKey, JSON.stringify(results))
+    }
+
+    /**
+     * Returns the leaderboard of the profile
+     * @returns {{name: string, score: number, highestTile: number, size: number, rules: string, date: string}[]}
+     * the entries, best first
+     */
+    getLeaderboard = () => this.readJSON(this.leaderboardKey, [])
+
+    /**
+     * Checks if a score is high enough for the leaderboard
+     * @param score {number} the score
+     * @returns {boolean} true if the score would be listed, false otherwise
+     */
+    isLeaderboardScore = score => {
+        const entries = this.getLeaderboard()
+        return score > 0 && (entries.length < StorageManager.leaderboardSize ||
+            score > entries[entries.length - 1].score)
+    }
+
+    /**
+     * Adds an entry to the leaderboard, keeping only the best ones
+     * @param entry {{name: string, score: number, highestTile: number, size: number, rules: string, date: string}}
+     * the entry
+     * @param replaced {?string} the date of an earlier entry of the same game, which the new one replaces
+     */
+    addLeaderboardEntry = (entry, replaced = null) => {
+        const entries = this.getLeaderboard().filter(other => other.date !== replaced)
+        entries.push(entry)
+        entries.sort((a, b) => b.score - a.score)
+        this.setItem(this.leaderboardKey, JSON.stringify(entries.slice(0, StorageManager.leaderboardSize)))
+    }
+
+    /**
+     * Removes the entries of a player from the leaderboard of the profile
+     * @param name {?string} the name of the player, null to clear the whole leaderboard of the profile
+     */
+    clearLeaderboard = name => {
+        const entries = name ? this.getLeaderboard().filter(entry => entry.name !== name) : []
+        this.setItem(this.leaderboardKey, JSON.stringify(entries))
+    }
+
+    /**
+     * Returns the name last entered on the leaderboard
+     * @returns {string} the name, the name of the profile by default
+     */
+    getPlayerName = () => this.getItem(this.playerNameKey) || this.getProfile().name
+
+    /**
+     * Sets the name last entered on the leaderboard
+     * @param name {string} the name
+     */
+    setPlayerName = name => this.setItem(this.playerNameKey, name)
+
+    /**
+     * Returns the keys bound to each action
+     * @returns {?Object<string, string[]>} the bindings, null if they were never changed
+     */
+    getKeyBindings = () => this.readJSON(this.keyBindingsKey, null)
+
+    /**
+     * Sets the keys bound to each action
+     * @param bindings {?Object<string, string[]>} the bindings, null to go back to the default ones
+     */
+    setKeyBindings = bindings => {
+        if (bindings) {
+            this.setItem(this.keyBindingsKey, JSON.stringify(bindings))
+        } else {
+            this.removeItem(this.keyBindingsKey)
+        }
+    }
+
+    /**
+     * Returns the number of undos allowed per game
+     * @returns {number} the number of undos, Infinity by default
+     */
+    getUndoLimit = () => {
+        const limit = parseInt(this.getItem(this.undoLimitKey), 10)
+        return limit >= 0 ? limit : Infinity
+    }
+
+    /**
+     * Sets the number of undos allowed per game
+     * @param limit {number} the number of undos, Infinity for no limit
+     */
+    setUndoLimit = limit => {
+        if (isFinite(limit)) {
+            this.setItem(this.undoLimitKey, limit)
+        } else {
+            this.removeItem(this.undoLimitKey)
+        }
+    }
+
+    /**
+     * Returns the distance and the speed a swipe must reach
+     * @returns {?{minSwipeDistance: number, minSwipeVelocity: number}} the thresholds, null if they were never changed
+     */
+    getSwipeThresholds = () => this.readJSON(this.swipeThresholdsKey, null)
+
+    /**
+     * Sets the distance and the speed a swipe must reach
+     * @param thresholds {?{minSwipeDistance: number, minSwipeVelocity: number}} the thresholds, null to go back to the
+     * default ones
+     */
+    setSwipeThresholds = thresholds => {
+        if (thresholds) {
+            this.setItem(this.swipeThresholdsKey, JSON.stringify(thresholds))
+        } else {
+            this.removeItem(this.swipeThresholdsKey)
+        }
+    }
+
+    /**
+     * Returns the renderer of the board
+     * @returns {"dom"|"canvas"} the renderer
+     */
+    getRenderer = () => this.getItem(this.rendererKey) === "canvas" ? "canvas" : "dom"
+
+    /**
+     * Sets the renderer of the board
+     * @param renderer {"dom"|"canvas"} the renderer
+     */
+    setRenderer = renderer => this.setItem(this.rendererKey, renderer)
+
+    /**
+     * Returns the theme
+     * @returns {string} the id of the theme, a key of THEMES or the id of a custom theme
+     */
+    getTheme = () => this.getItem(this.themeKey) || "classic"
+
+    /**
+     * Sets the theme
+     * @param id {string} the id of the theme
+     */
+    setTheme = id => this.setItem(this.themeKey, id)
+
+    /**
+     * Returns the themes made by the player
+     * @returns {{id: string, name: string, colors: Object<string, string>}[]} the themes, oldest first
+     */
+    getCustomThemes = () => this.readJSON(this.customThemesKey, [])
+
+    /**
+     * Adds a theme made by the player
+     * @param theme {{name: string, colors: Object<string, string>}} the theme
+     * @returns {string} the id of the theme
+     */
+    addCustomTheme = theme => {
+        const themes = this.getCustomThemes()
+        const id = "custom-" + Date.now().toString(36)
+        themes.push({ id: id, name: theme.name, colors: theme.colors })
+        this.setItem(this.customThemesKey, JSON.stringify(themes))
+        return id
+    }
+
+    /**
+     * Removes a theme made by the player
+     * @param id {string} the id of the theme
+     */
+    deleteCustomTheme = id => {
+        this.setItem(this.customThemesKey, JSON.stringify(this.getCustomThemes().filter(theme => theme.id !== id)))
+    }
+
+    /**
+     * Returns the rule preset chosen for new games
+     * @returns {string} the key of the preset in RULE_PRESETS
+     */
+    getRulesPreset = () => this.getItem(this.rulesKey) || "classic"
+
+    /**
+     * Sets the rule preset chosen for new games
+     * @param presetId {string} the key of the preset in RULE_PRESETS
+     */
+    setRulesPreset = presetId => this.setItem(this.rulesKey, presetId)
+
+    /**
+     * Returns the game mode chosen for new games
+     * @returns {string} the key of the mode in GAME_MODES
+     */
+    getMode = () => this.getItem(this.modeKey) || "endless"
+
+    /**
+     * Sets the game mode chosen for new games
+     * @param modeId {string} the key of the mode in GAME_MODES
+     */
+    setMode = modeId => this.setItem(this.modeKey, modeId)
+
+    /**
+     * Returns the best score
+     * @returns {string|number} the best score
+     */
+    getBestScore = () => this.getItem(this.bestScoreKey) || 0
+
+    /**
+     * Sets the best score
+     * @param newBestScore {string|number} the new best score
+     */
+    setBestScore = newBestScore => this.setItem(this.bestScoreKey, newBestScore)
+
+    /**
+     * Returns the stored value of a key
+     * @param key {string} the key
+     * @param fallback {*} the value returned when the key is missing or its value is not valid JSON
+     * @returns {*} the parsed value
+     */
+    readJSON = (key, fallback) => {
+        try {
+            const value = this.getItem(key)
+            return value ? JSON.parse(value) : fallback
+        } catch (e) {
+            return fallback
+        }
+    }
+
+    /**
+     * Returns the game state, migrated to the current save version
+     * @returns {Object|null} the game state, null if there is none or it is corrupted
+     */
+    getGameState = () => readSave(this.readJSON(this.gameStateKey, null))
+
+    /**
+     * Sets the game state
+     * @param newGameState {Object} the new game state
+     */
+    setGameState = newGameState => {
+        this.setItem(this.gameStateKey, JSON.stringify(newGameState))
+    }
+
+    /**
+     * Clears the game state, its undo history and its recording
+     */
+    clearGameState = () => {
+        this.removeItem(this.gameStateKey)
+        this.removeItem(this.historyKey)
+        this.removeItem(this.recordingKey)
+    }
+
+    /**
+     * Returns the undo and redo stacks of the current game
+     * @returns {{undo: Object[], redo: Object[], redoMoves: Array[]}} the serialized games of each stack
+     * and the recorded moves to redo
+     */
+    getHistory = () => {
+        const empty = { undo: [], redo: [], redoMoves: [] }
+        const history = this.readJSON(this.historyKey, empty)
+        if (!history || !Array.isArray(history.undo) || !Array.isArray(history.redo)) return empty
+        const undo = history.undo.map(readSave)
+        const redo = history.redo.map(readSave)
+        if (undo.includes(null) || redo.includes(null)) return empty
+        return { undo: undo, redo: redo, redoMoves: Array.isArray(history.redoMoves) ? history.redoMoves : [] }
+    }
+
+    /**
+     * Sets the undo and redo stacks of the current game
+     * @param history {{undo: Object[], redo: Object[], redoMoves: Array[]}} the serialized games of each stack
+     * and the recorded moves to redo
+     */
+    setHistory = history => {
+        this.setItem(this.historyKey, JSON.stringify(history))
+    }
+
+    /**
+     * Returns the recording of the current game
+     * @returns {Object|null} the recording
+     */
+    getRecording = () => this.readJSON(this.recordingKey, null)
+
+    /**
+     * Sets the recording of the current game
+     * @param recording {Object} the recording
+     */
+    setRecording = recording => {
+        this.setItem(this.recordingKey, JSON.stringify(recording))
+    }
+
+    setNoticeClosed = e => {
+        this.setItem(this.noticeClosedKey, JSON.stringify(e))
+    }
+
+    getNoticeClosed = () => JSON.parse(this.getItem(this.noticeClosedKey) || "false")
+
+    setCookieNoticeClosed = isClosed => {
+        this.setItem(this.cookieNoticeClosedKey, JSON.stringify(isClosed))
+    }
+
+    getCookieNoticeClosed = () =>
+        JSON.parse(this.getItem(this.cookieNoticeClosedKey) || "false")
+}
+
+StorageManager.leaderboardSize = 10
+StorageManager.slotCount = 3
+
+class GameManager {
+    /**
+     * @param size {number} the board size
+     * @param inputManager {KeyboardInputManager} the source of the game events
+     * @param actuator {HTMLActuator} the renderer
+     * @param storageManager {StorageManager} the storage for the scores and the game in progress
+     * @param options {{undoLimit: number, random: SeededRandom, solver: AISolver, rules: Object, mode: Object}} the
+     * number of undos allowed per game, unlimited by default, the random sequence of the first game, which then starts
+     * afresh instead of resuming the saved one, the search behind the hints and auto-play, and the rules and the mode
+     * of new games
+     */
+    constructor(size, inputManager, actuator, storageManager, options = {}) {
+        this.size = size
+        this.inputManager = inputManager
+        this.storageManager = storageManager
+        this.actuator = actuator
+        this.undoLimit = options.undoLimit === undefined ? Infinity : options.undoLimit
+        this.historyLimit = 100
+        this.startRandom = options.random || null
+        this.solver = options.solver || null
+        this.rules = options.rules || RULE_PRESETS.classic
+        this.mode = options.mode || GAME_MODES.endless
+        this.autoplay = null
+        this.autoplaySpeed = 1
+        this.inputManager.on("move", this.playerMove.bind(this))
+        this.inputManager.on("restart", () => this.restart())
+        this.inputManager.on("keepPlaying", this.keepPlaying.bind(this))
+        this.inputManager.on("changeSize", this.changeSize.bind(this))
+        this.inputManager.on("changeRules", this.changeRules.bind(this))
+        this.inputManager.on("changeMode", this.changeMode.bind(this))
+        this.inputManager.on("undo", this.undo.bind(this))
+        this.inputManager.on("redo", this.redo.bind(this))
+        this.inputManager.on("changeUndoLimit", this.changeUndoLimit.bind(this))
+        this.inputManager.on("hint", this.hint.bind(this))
+        this.inputManager.on("toggleAutoplay", this.toggleAutoplay.bind(this))
+        this.inputManager.on("autoplaySpeed", this.setAutoplaySpeed.bind(this))
+        this.inputManager.on("showStats", () => this.actuator.showStats(this.storageManager.getStats()))
+        this.inputManager.on("showLeaderboard", this.showLeaderboard.bind(this))
+        this.inputManager.on("saveScore", this.saveScore.bind(this))
+        this.inputManager.on("clearLeaderboard", this.clearLeaderboard.bind(this))
+        this.inputManager.on("closePanels", () => this.actuator.closePanels())
+        this.inputManager.on("changeRenderer", this.changeRenderer.bind(this))
+        this.inputManager.on("showKeySettings", () => {
+            this.actuator.showSwipeThresholds(this.inputManager.swipeThresholds())
+            this.actuator.showKeySettings(this.inputManager.bindings)
+        })
+        this.inputManager.on("captureBinding", action => this.actuator.showKeySettings(this.inputManager.bindings, "", action))
+        this.inputManager.on("bindKey", this.bindKey.bind(this))
+        this.inputManager.on("unbindKey", this.unbindKey.bind(this))
+        this.inputManager.on("resetBindings", this.resetBindings.bind(this))
+        this.inputManager.on("changeSwipeThresholds", this.changeSwipeThresholds.bind(this))
+        this.inputManager.on("showProfiles", this.showProfiles.bind(this))
+        this.inputManager.on("switchProfile", this.switchProfile.bind(this))
+        this.inputManager.on("createProfile", this.createProfile.bind(this))
+        this.inputManager.on("deleteProfile", this.deleteProfile.bind(this))
+        this.inputManager.on("loadSlot", this.loadSlot.bind(this))
+        this.inputManager.on("showSave", () => this.actuator.showSave(this.serialize()))
+        this.inputManager.on("copySave", () => this.actuator.copySave())
+        this.inputManager.on("startDaily", this.startDaily.bind(this))
+        this.inputManager.on("copyDaily", () => this.actuator.copyDaily())
+        this.inputManager.on("exportSave", () => this.actuator.exportSave(this.serialize()))
+        this.inputManager.on("importSave", this.importSave.bind(this))
+        this.inputManager.on("editBoard", () => this.editBoard())
+        this.inputManager.on("editCell", this.editCell.bind(this))
+        this.inputManager.on("editPuzzle", this.editPuzzle.bind(this))
+        this.inputManager.on("clearBoard", this.clearBoard.bind(this))
+        this.inputManager.on("copyPuzzleLink", () => this.actuator.copyPuzzleLink())
+        this.inputManager.on("playPuzzle", this.playPuzzle.bind(this))
+        this.inputManager.on("openPuzzle", this.openPuzzle.bind(this))
+        this.inputManager.on("describeBoard", () => this.actuator.describeBoard(this.game.grid, this.game.score))
+        this.inputManager.on("showThemes", this.showThemes.bind(this))
+        this.inputManager.on("changeTheme", this.changeTheme.bind(this))
+        this.inputManager.on("editTheme", this.editTheme.bind(this))
+        this.inputManager.on("saveTheme", this.saveTheme.bind(this))
+        this.inputManager.on("deleteTheme", this.deleteTheme.bind(this))
+        this.inputManager.on("exportTheme", () => this.actuator.exportTheme({ name: this.theme.name, colors: this.themeColors }))
+        this.inputManager.on("importTheme", this.importTheme.bind(this))
+        this.inputManager.on("startReplay", () => this.startReplay(this.recording))
+        this.inputManager.on("importReplay", this.startReplay.bind(this))
+        this.inputManager.on("toggleReplay", this.toggleReplay.bind(this))
+        this.inputManager.on("stepReplay", this.stepReplay.bind(this))
+        this.inputManager.on("replaySpeed", this.setReplaySpeed.bind(this))
+        this.inputManager.on("stopReplay", this.stopReplay.bind(this))
+        this.inputManager.on("exportReplay", this.exportReplay.bind(this))
+        this.inputManager.on("startVersus", () => this.stopAutoplay())
+        this.inputManager.on("joinRace", () => this.stopAutoplay())
+        this.replay = null
+        this.puzzle = null
+        this.storageManager.useBoardSize(size)
+        this.loadTheme()
+        this.setup()
+        this.lastTick = Date.now()
+        window.setInterval(this.tick, 1000)
+    }
+
+    /**
+     * Switches to another board size, resuming the game saved for it
+     * @param size {number} the new board size
+     */
+    changeSize = size => {
+        if (size === this.size) return
+        this.size = size
+        this.storageManager.setBoardSize(size)
+        this.storageManager.useBoardSize(size)
+        this.actuator.continueGame()
+        this.setup()
+    }
+
+    /**
+     * Switches to another renderer, which is kept for the next visits
+     * @param renderer {"dom"|"canvas"} the renderer
+     */
+    changeRenderer = renderer => {
+        this.storageManager.setRenderer(renderer)
+        this.useRenderer(renderer)
+    }
+
+    /**
+     * Replaces the actuator with the one of a renderer
+     * @param renderer {"dom"|"canvas"} the renderer
+     */
+    useRenderer = renderer => {
+        if (renderer === this.actuator.renderer) return
+        const actuator = createActuator(renderer)
+        actuator.score = this.actuator.score
+        this.actuator.destroy()
+        this.actuator = actuator
+        this.actuator.setupGrid(this.game.grid.size)
+        this.actuate()
+    }
+
+    /**
+     * Starts a new game with a rule preset, which is kept for the next games
+     * @param presetId {string} the key of the preset in RULE_PRESETS
+     */
+    changeRules = presetId => {
+        if (!(presetId in RULE_PRESETS)) return
+        this.rules = RULE_PRESETS[presetId]
+        this.storageManager.setRulesPreset(presetId)
+        this.restart()
+    }
+
+    /**
+     * Starts a new game in a mode, which is kept for the next games
+     * @param modeId {string} the key of the mode in GAME_MODES
+     */
+    changeMode = modeId => {
+        if (!(modeId in GAME_MODES)) return
+        this.mode = GAME_MODES[modeId]
+        this.storageManager.setMode(modeId)
+        this.restart()
+    }
+
+    /**
+     * Changes the number of undos allowed per game, which is kept for the next games and counts the undos already
+     * used in the current one
+     * @param limit {number} the number of undos, Infinity for no limit
+     */
+    changeUndoLimit = limit => {
+        if (limit !== Infinity && !(Number.isInteger(limit) && limit >= 0)) return
+        this.undoLimit = limit
+        this.storageManager.setUndoLimit(limit)
+        this.actuate()
+    }
+
+    /**
+     * Counts the time spent playing and runs the clock of a timed game, from the first move and while the board is shown
+     */
+    tick = () => {
+        const now = Date.now()
+        const elapsed = now - this.lastTick
+        this.lastTick = now
+        if (this.replay || !this.game.moves || this.game.isGameTerminated() || document.hidden || !this.inputManager.active) {
+            return
+        }
+        this.playTime += elapsed
+        if (!this.game.mode.timeLimit) return
+        this.game.elapse(elapsed)
+        if (this.game.over) {
+            this.recordFinishedGame()
+            this.actuator.announce(this.game.mode.overMessage + " Final score " + this.game.score + ".")
+            this.actuate()
+        } else {
+            // Only the clock has changed, the history and the recording are saved with the moves
+            this.storageManager.setGameState(this.serialize())
+            this.actuator.updateMode(this.modeState())
+        }
+    }
+
+    /**
+     * Describes the mode of the game and what is left of its limits
+     * @returns {{id: string, overMessage: ?string, timeLeft: number, movesLeft: number}} the mode
+     */
+    modeState = () => ({
+        id: this.game.mode.id,
+        overMessage: this.game.mode.overMessage,
+        timeLeft: this.game.timeLeft(),
+        movesLeft: this.game.movesLeft()
+    })
+
+    /**
+     * Clears the state of the game and restarts it
+     * @param rules {Object} the rules of the new game, the chosen ones by default
+     * @param mode {Object} the mode of the new game, the chosen one by default
+     */
+    restart = (rules, mode) => {
+        // A game left before its end counts once won, the others were not played to the end
+        if (!this.replay && this.game.won && !this.isPuzzle()) {
+            this.recordFinishedGame()
+        }
+        this.storageManager.clearGameState()
+        this.actuator.continueGame()
+        this.setup(rules, mode)
+    }
+
+    /**
+     * Starts a new game on a random sequence, like the one shared by the players of a versus match
+     * @param random {SeededRandom} the source of the spawned tiles
+     */
+    startSeeded = random => {
+        this.startRandom = random
+        this.restart()
+    }
+
+    /**
+     * Starts the daily challenge, or shows its result when it was already played today
+     */
+    startDaily = () => {
+        const date = dailyToday()
+        if (this.storageManager.getDailyResult(date)) {
+            this.showDaily()
+            return
+        }
+        // Everyone plays the same board, with the classic rules
+        if (this.size !== 4) this.changeSize(4)
+        this.startRandom = new SeededRandom(dailySeed(date))
+        this.restart(RULE_PRESETS.classic, GAME_MODES.endless)
+        this.storageManager.setDailyResult({ date: date, startedAt: this.startedAt })
+        this.updateDaily()
+    }
+
+    /**
+     * Returns the daily challenge attempt being played
+     * @returns {?Object} the result of the attempt so far, null when the game is not one
+     */
+    dailyAttempt = () => {
+        const date = dailyDate(this.game.random.seed)
+        const result = date && !this.replay && this.storageManager.getDailyResult(date)
+        // Starting the same seed again from a link does not make another attempt
+        return result && result.startedAt === this.startedAt ? result : null
+    }
+
+    /**
+     * Keeps the result of the daily challenge up to date with the attempt, and shows it once the attempt is over
+     */
+    updateDaily = () => {
+        const result = this.dailyAttempt()
+        if (!result || result.over) return
+        Object.assign(result, {
+            score: this.game.score,
+            highestTile: this.game.grid.highestValue(),
+            moves: this.recording.moves.length,
+            board: this.game.grid.serialize(),
+            over: this.game.over
+        })
+        this.storageManager.setDailyResult(result)
+        if (result.over) this.showDaily()
+    }
+
+    /**
+     * Shows the result of the daily challenge being played, or else of the one of today
+     */
+    showDaily = () => {
+        const attempt = this.dailyAttempt()
+        const result = attempt || this.storageManager.getDailyResult(dailyToday())
+        if (result) this.actuator.showDaily(result, !!attempt && !attempt.over)
+    }
+
+    /**
+     * Keeps playing after winning (allows going over 2048)
+     */
+    keepPlaying = () => {
+        this.game.keepPlaying = true
+        // The score saved on winning is replaced by the final one
+        this.scoreSaved = false
+        this.actuator.continueGame()
+        // Won with the last move allowed, the game ends there
+        if (this.game.over) this.actuate()
+    }
+
+    /**
+     * Sets up the game
+     * @param rules {Object} the rules of a new game, the chosen ones by default
+     * @param mode {Object} the mode of a new game, the chosen one by default
+     */
+    setup = (rules = this.rules, mode = this.mode) => {
+        const startRandom = this.startRandom
+        const gameState = startRandom ? null : this.storageManager.getGameState()
+        this.startRandom = null
+        this.replay = null
+        this.stopAutoplay()
+        this.actuator.setupGrid(this.size)
+        if (gameState) {
+            const history = this.storageManager.getHistory()
+            this.game = Game.fromState(gameState)
+            this.undosUsed = gameState.undosUsed || 0
+            this.startedAt = gameState.startedAt || Date.now()
+            this.playTime = gameState.playTime || 0
+            this.scoreSaved = !!gameState.scoreSaved
+            this.scoreDate = gameState.scoreDate || null
+            this.statsRecorded = !!gameState.statsRecorded
+            this.undoStack = history.undo
+            this.redoStack = history.redo
+            const recording = this.storageManager.getRecording()
+            this.recording = this.isValidRecording(recording) ? recording : this.startRecording()
+            this.redoMoves = history.redoMoves || []
+            this.storageManager.useMode(this.game.mode.id)
+            this.actuate()
+        } else {
+            this.game = new Game(this.size, startRandom || new SeededRandom(SeededRandom.randomSeed()), rules, mode)
+            this.undosUsed = 0
+            this.startedAt = Date.now()
+            this.playTime = 0
+            this.scoreSaved = false
+            this.scoreDate = null
+            this.statsRecorded = false
+            this.undoStack = []
+            this.redoStack = []
+            this.game.addStartTiles()
+            this.recording = this.startRecording()
+            this.redoMoves = []
+            this.storageManager.useMode(this.game.mode.id)
+            this.actuate()
+        }
+    }
+
+    /**
+     * Starts a recording from the tiles on the grid
+     * @returns {{size: number, seed: string, rules: Object, mode: Object, score: number, start: Array[], moves: Array[]}}
+     * the recording, where the start tiles are [x, y, value, type] and the moves are [direction, x, y, value, type] of
+     * the tile spawned after them
+     */
+    startRecording = () => {
+        const start = []
+        this.game.grid.eachCell((x, y, tile) => tile && start.push([x, y, tile.value, tile.type]))
+        return {
+            size: this.game.grid.size,
+            seed: this.game.random.seed,
+            rules: this.game.rules,
+            mode: this.game.mode,
+            score: this.game.score,
+            start: start,
+            moves: []
+        }
+    }
+
+    /**
+     * Checks if a move can be undone
+     * @returns {boolean} true if there is a move to undo and undos left, outside of a daily challenge attempt and of a
+     * limited game that has ended, false otherwise
+     */
+    canUndo = () => !this.replay && this.undoStack.length > 0 && this.undosUsed < this.undoLimit &&
+        !this.dailyAttempt() && !(this.game.over && (this.game.mode.timeLimit || this.game.mode.moveLimit))
+
+    /**
+     * Checks if an undone move can be redone
+     * @returns {boolean} true if there is a move to redo, false otherwise
+     */
+    canRedo = () => !this.replay && this.redoStack.length > 0
+
+    /**
+     * Goes back to the state before the last move
+     */
+    undo = () => {
+        if (!this.canUndo()) return
+        this.redoStack.push(this.serialize())
+        this.redoMoves.push(this.recording.moves.pop())
+        // Undoing gives back the move, not the time spent on it
+        const timeUsed = this.game.timeUsed
+        this.game = Game.fromState(this.undoStack.pop())
+        this.game.timeUsed = timeUsed
+        this.undosUsed ++
+        this.actuator.continueGame()
+        this.actuate()
+    }
+
+    /**
+     * Replays the last undone move
+     */
+    redo = () => {
+        if (!this.canRedo()) return
+        this.undoStack.push(this.serialize())
+        this.recording.moves.push(this.redoMoves.pop())
+        const timeUsed = this.game.timeUsed
+        this.game = Game.fromState(this.redoStack.pop())
+        this.game.timeUsed = timeUsed
+        this.actuator.continueGame()
+        this.actuate()
+    }
+
+    /**
+     * Saves the state before a move, forgetting the undone moves
+     * @param state {Object} the serialized game before the move
+     */
+    pushHistory = state => {
+        this.undoStack.push(state)
+        if (this.undoStack.length > this.historyLimit) this.undoStack.shift()
+        this.redoStack = []
+        this.redoMoves = []
+    }
+
+    /**
+     * Checks if the board is still the one of a serialized game
+     * @param state {Object} the serialized game
+     * @returns {boolean} true if the board has not changed since, false otherwise
+     */
+    isCurrentState = state => JSON.stringify(state.grid) === JSON.stringify(this.game.grid.serialize())
+
+    /**
+     * Shows the best move found by the solver
+     */
+    hint = () => {
+        if (!this.solver || this.replay || this.game.isGameTerminated()) return
+        const state = this.serialize()
+        this.solver.bestMove(state).then(result => {
+            if (result.direction !== null && this.isCurrentState(state)) {
+                this.actuator.showHint(result.direction)
+            }
+        }).catch(() => {
+            // No hint this time, the button can be pressed again
+        })
+    }
+
+    /**
+     * Starts or stops playing the moves found by the solver
+     */
+    toggleAutoplay = () => {
+        if (this.autoplay) {
+            this.stopAutoplay()
+        } else if (this.solver && !this.replay && !this.game.isGameTerminated()) {
+            this.autoplay = { timer: null }
+            this.actuator.updateAutoplay(true)
+            this.autoplayStep()
+        }
+    }
+
+    /**
+     * Plays the move found by the solver, then schedules the next one
+     */
+    autoplayStep = () => {
+        const state = this.serialize()
+        this.solver.bestMove(state).then(result => {
+            if (!this.autoplay) return
+            // A move played meanwhile by the player makes the result stale, so it is searched again
+            if (result.direction !== null && this.isCurrentState(state)) {
+                this.move(result.direction)
+            }
+            if (result.direction === null || this.game.isGameTerminated()) {
+                this.stopAutoplay()
+            } else {
+                this.autoplay.timer = setTimeout(this.autoplayStep, 250 / this.autoplaySpeed)
+            }
+        }).catch(this.stopAutoplay)
+    }
+
+    /**
+     * Stops playing the moves found by the solver
+     */
+    stopAutoplay = () => {
+        if (!this.autoplay) return
+        clearTimeout(this.autoplay.timer)
+        this.autoplay = null
+        this.actuator.updateAutoplay(false)
+    }
+
+    /**
+     * Changes the auto-play speed
+     * @param speed {number} the number of moves per 250ms, on top of the search time
+     */
+    setAutoplaySpeed = speed => {
+        this.autoplaySpeed = speed
+    }
+
+    /**
+     * Checks that a recording can be replayed
+     * @param recording {*} the recording to check
+     * @returns {boolean} true if the recording is well formed, false otherwise
+     */
+    isValidRecording = recording => {
+        if (!recording || !Number.isInteger(recording.size) || recording.size < 2 || recording.size > 16 ||
+            !Array.isArray(recording.start) || !Array.isArray(recording.moves) ||
+            !(recording.score === undefined || Number.isInteger(recording.score) && recording.score >= 0) ||
+            // The recordings made before the rule presets and the game modes have neither
+            !(recording.rules === undefined || isValidRules(recording.rules)) ||
+            !(recording.mode === undefined || isValidMode(recording.mode))) {
+            return false
+        }
+        const inBounds = n => Number.isInteger(n) && n >= 0 && n < recording.size
+        // The recordings made before the special tiles have no types
+        const isTile = (x, y, value, type = "number") => inBounds(x) && inBounds(y) && isTileValue(value, type)
+        return recording.start.every(tile => Array.isArray(tile) && isTile(...tile)) &&
+            new Set(recording.start.map(([x, y]) => x + "," + y)).size === recording.start.length &&
+            recording.moves.every(move => Array.isArray(move) && [0, 1, 2, 3].includes(move[0]) &&
+                isTile(...move.slice(1)))
+    }
+
+    /**
+     * Replaces the game with the start of a recording, without touching the saved game
+     * @param recording {Object} the recording to replay
+     */
+    startReplay = recording => {
+        if (!this.isValidRecording(recording)) {
+            this.actuator.replayError()
+            return
+        }
+        this.pauseReplay()
+        this.stopAutoplay()
+        this.replay = { recording: recording, position: 0, playing: false, speed: 1, timer: null }
+        this.actuator.setupGrid(recording.size)
+        const mode = recording.mode || GAME_MODES.endless
+        this.game = new Game(recording.size, new SeededRandom(recording.seed), recording.rules, mode)
+        recording.start.forEach(([x, y, value, type]) => this.game.grid.insertTile(new Tile({ x: x, y: y }, value, type)))
+        // A puzzle starts with its own score
+        this.game.score = recording.score || 0
+        // The win message would interrupt the replay
+        this.game.keepPlaying = true
+        this.undoStack = []
+        this.redoStack = []
+        // The replayed moves are recorded again, away from the recording being replayed
+        this.recording = {
+            size: recording.size,
+            seed: recording.seed,
+            rules: recording.rules,
+            mode: recording.mode,
+            score: recording.score,
+            start: recording.start,
+            moves: []
+        }
+        this.actuator.continueGame()
+        this.storageManager.useMode(mode.id)
+        this.actuate()
+    }
+
+    /**
+     * Plays the next move of the replay
+     */
+    stepReplay = () => {
+        if (!this.replay) return
+        const moves = this.replay.recording.moves
+        if (this.replay.position >= moves.length) {
+            this.pauseReplay()
+            this.actuate()
+            return
+        }
+        const [direction, x, y, value, type] = moves[this.replay.position ++]
+        // A tile spawned on a taken cell means the recording is not of this game
+        const next = Game.fromState(this.game.serialize())
+        if (!next.slide(direction).moved || !next.grid.cellAvailable({ x: x, y: y })) {
+            this.pauseReplay()
+            this.actuator.replayError()
+            return
+        }
+        this.move(direction, { x: x, y: y, value: value, type: type })
+    }
+
+    /**
+     * Plays or pauses the replay
+     */
+    toggleReplay = () => {
+        if (!this.replay) return
+        if (this.replay.playing) {
+            this.pauseReplay()
+        } else {
+            this.replay.playing = true
+            this.scheduleReplayStep()
+        }
+        this.actuate()
+    }
+
+    /**
+     * Plays the next move of the replay after a delay depending on the replay speed
+     */
+    scheduleReplayStep = () => {
+        this.replay.timer = setTimeout(() => {
+            this.stepReplay()
+            if (this.replay && this.replay.playing) this.scheduleReplayStep()
+        }, 300 / this.replay.speed)
+    }
+
+    /**
+     * Stops playing the replay
+     */
+    pauseReplay = () => {
+        if (!this.replay) return
+        clearTimeout(this.replay.timer)
+        this.replay.playing = false
+    }
+
+    /**
+     * Changes the replay speed
+     * @param speed {number} the number of moves per 300ms
+     */
+    setReplaySpeed = speed => {
+        if (!this.replay) return
+        this.replay.speed = speed
+        this.actuate()
+    }
+
+    /**
+     * Leaves the replay and resumes the saved game
+     */
+    stopReplay = () => {
+        if (!this.replay) return
+        this.pauseReplay()
+        this.actuator.continueGame()
+        this.setup()
+    }
+
+    /**
+     * Shows the profiles and the save slots of the current one
+     */
+    showProfiles = () => {
+        this.actuator.showProfiles(this.storageManager.getProfiles(), this.storageManager.profile,
+            this.storageManager.getSlots(), this.storageManager.slot)
+    }
+
+    /**
+     * Switches to another profile, with its settings and the game in its last slot
+     * @param id {string} the id of the profile
+     */
+    switchProfile = id => {
+        if (id === this.storageManager.profile || !this.storageManager.getProfiles().some(p => p.id === id)) return
+        this.pauseReplay()
+        this.storageManager.useProfile(id)
+        this.size = this.storageManager.getBoardSize()
+        this.storageManager.useBoardSize(this.size)
+        this.rules = RULE_PRESETS[this.storageManager.getRulesPreset()] || RULE_PRESETS.classic
+        this.mode = GAME_MODES[this.storageManager.getMode()] || GAME_MODES.endless
+        this.inputManager.setBindings(this.storageManager.getKeyBindings() || KeyboardInputManager.defaultBindings)
+        this.inputManager.setSwipeThresholds(this.storageManager.getSwipeThresholds() || {})
+        this.undoLimit = this.storageManager.getUndoLimit()
+        this.actuator.continueGame()
+        this.useRenderer(this.storageManager.getRenderer())
+        this.loadTheme()
+        this.setup()
+        this.showProfiles()
+    }
+
+    /**
+     * Adds a profile and switches to it
+     * @param name {string} the name of the profile
+     */
+    createProfile = name => this.switchProfile(this.storageManager.addProfile(name))
+
+    /**
+     * Removes a profile, going back to the default one if it is the current profile
+     * @param id {string} the id of the profile
+     */
+    deleteProfile = id => {
+        if (id === "default") return
+        if (id === this.storageManager.profile) this.switchProfile("default")
+        this.storageManager.deleteProfile(id)
+        this.showProfiles()
+    }
+
+    /**
+     * Resumes the game saved in a slot, or starts a new one there
+     * @param slot {number} the save slot, from 1
+     */
+    loadSlot = slot => {
+        if (!(slot >= 1 && slot <= StorageManager.slotCount)) return
+        this.pauseReplay()
+        this.storageManager.useSlot(slot)
+        this.actuator.closePanels()
+        this.actuator.continueGame()
+        this.setup()
+    }
+
+    /**
+     * Replaces the game with a save, on its board size
+     * @param data {string|Object} the serialized game, or its JSON
+     */
+    importSave = data => {
+        const state = readSave(data)
+        if (!state) {
+            this.actuator.saveError()
+            return
+        }
+        this.loadState(state)
+    }
+
+    /**
+     * Replaces the game with a serialized one, on its board size
+     * @param state {Object} the serialized game, checked by readSave
      */
-    continueGame = () => {
-        // if ("undefined" != typeof gtag) {
-        //     gtag("event", "restart", { event_category: "game" })
-        // }
-        this.clearMessage()
+    loadState = state => {
+        this.size = state.grid.size
+        this.storageManager.setBoardSize(this.size)
+        this.storageManager.useBoardSize(this.size)
+        this.storageManager.clearGameState()
+        this.storageManager.setGameState(state)
+        this.actuator.closePanels()
+        this.actuator.continueGame()
+        this.setup()
     }
 
     /**
-     * Clears an element of all its children
-     * @param container {HTMLElement} The element to clear
+     * Opens the board editor on the current position, as a puzzle to set up
+     * @param status {string} the message to show in the editor, empty for none
      */
-    clearContainer = (container) => {
-        for (; container.firstChild;) container.removeChild(container.firstChild)
+    editBoard = (status = "") => {
+        this.stopAutoplay()
+        const tiles = []
+        this.game.grid.eachCell((x, y, tile) => tile && tiles.push([x, y, tile.value, tile.type]))
+        this.puzzle = {
+            size: this.game.grid.size,
+            rules: this.game.rules.id in RULE_PRESETS ? this.game.rules.id : "classic",
+            seed: SeededRandom.randomSeed(),
+            score: this.game.score,
+            tiles: tiles,
+            goal: null
+        }
+        this.showEditor(status)
     }
 
     /**
-     * Adds a tile to the container.
-     * @param tile {Tile} The tile to add.
+     * Shows the puzzle being set up in the board editor
+     * @param status {string} the message to show in the editor, empty for none
      */
-    addTile = tile => {
-        const tileElement = document.createElement("div")
-        const tileInner = document.createElement("div")
-        const previousPosition = tile.previousPosition || { x: tile.x, y: tile.y }
-        const previousPositionClass = this.positionClass(previousPosition)
-        const classes = ["tile", "tile-" + tile.value, previousPositionClass]
-
-        tile.value > 2048 && classes.push("tile-super")
-        this.applyClasses(tileElement, classes)
-        tileInner.classList.add("tile-inner")
-        tileInner.textContent = tile.value
-        if (tile.previousPosition) {
-            window.requestAnimationFrame(() => {
-                classes[2] = this.positionClass({ x: tile.x, y: tile.y })
-                this.applyClasses(tileElement, classes)
-            })
-            tileElement.appendChild(tileInner)
-            this.tileContainer.appendChild(tileElement)
-        } else {
-            if (tile.mergedFrom) {
-                classes.push("tile-merged")
-                this.applyClasses(tileElement, classes)
-                tile.mergedFrom.forEach(tile => this.addTile(tile))
-                tileElement.appendChild(tileInner)
-                this.tileContainer.appendChild(tileElement)
-            } else {
-                classes.push("tile-new")
-                this.applyClasses(tileElement, classes)
-                tileElement.appendChild(tileInner)
-                this.tileContainer.appendChild(tileElement)
-            }
-        }
-    }
+    showEditor = (status = "") => this.actuator.showEditor(this.puzzle, encodePuzzle(this.puzzle), status)
 
     /**
-     * Apply CSS classes to an element.
-     * @param element {HTMLElement} The element to which the classes will be applied.
-     * @param classes {String[]} An array of class names.
+     * Cycles the tile of a cell of the puzzle through the values of its rules, the empty cell coming before the
+     * smallest one
+     * @param cell {{x: number, y: number, step: number}} the cell, and 1 to go up or -1 to go down
      */
-    applyClasses = (element, classes) =>
-        element.setAttribute("class", classes.join(" "))
+    editCell = cell => {
+        if (!this.puzzle) return
+        const values = ruleValues(RULE_PRESETS[this.puzzle.rules])
+        const index = this.puzzle.tiles.findIndex(([x, y]) => x === cell.x && y === cell.y)
+        const tile = this.puzzle.tiles[index]
+        // The special tiles count as empty cells
+        const current = tile && tile[3] === "number" ? values.indexOf(tile[2]) + 1 : 0
+        const next = (current + cell.step + values.length + 1) % (values.length + 1)
+        if (tile) this.puzzle.tiles.splice(index, 1)
+        if (next) this.puzzle.tiles.push([cell.x, cell.y, values[next - 1], "number"])
+        this.showEditor()
+    }
 
     /**
-     * Normalizes the position of a tile
-     * @param position {{x: *, y: *}} x and y coordinates
-     * @returns {{x: *, y: *}} normalized position
+     * Changes the score and the goal of the puzzle
+     * @param values {{score: number, target: ?number, moves: ?number}} the score, and the tile to make and the number
+     * of moves allowed, null for no limit
      */
-    normalizePosition = position => ({ x: position.x + 1, y: position.y + 1 })
+    editPuzzle = values => {
+        if (!this.puzzle) return
+        this.puzzle.score = values.score
+        this.puzzle.goal = values.target || values.moves ? { target: values.target, moves: values.moves } : null
+        this.actuator.showPuzzleLink(encodePuzzle(this.puzzle))
+    }
 
     /**
-     * Returns the class for a tile based on its position
-     * @param position {{x: *, y: *}} the position of the tile
-     * @returns {string} the HTML class for the tile
+     * Takes every tile off the puzzle
      */
-    positionClass = position => {
-        let normalized = this.normalizePosition(position)
-        return "tile-position-" + normalized.x + "-" + normalized.y
+    clearBoard = () => {
+        if (!this.puzzle) return
+        this.puzzle.tiles = []
+        this.puzzle.score = 0
+        this.showEditor()
     }
 
     /**
-     * Updates the score
-     * @param score {number} the new score
+     * Starts the puzzle of the board editor
      */
-    updateScore = score => {
-        this.clearContainer(this.scoreContainer)
-        const diff = score - this.score
-        this.score = score
-        this.scoreContainer.textContent = this.score
-        if (diff > 0) {
-            const scoreIncreaseElement = document.createElement("div")
-            scoreIncreaseElement.classList.add("score-addition")
-            scoreIncreaseElement.textContent = "+" + diff
-            this.scoreContainer.appendChild(scoreIncreaseElement)
+    playPuzzle = () => {
+        if (!this.puzzle) return
+        if (!this.puzzle.tiles.length) {
+            this.showEditor("Place at least one tile")
+            return
         }
+        this.startPuzzle(this.puzzle)
     }
 
     /**
-     * Updates the best score
-     * @param bestScore {number} the new best score
+     * Starts a puzzle shared in a link, once the player agrees to replace the saved game in progress, or reports it in
+     * the board editor when it is malformed
+     * @param code {string} the puzzle, as encoded in its link
      */
-    updateBestScore = bestScore => this.bestContainer.textContent = bestScore
+    openPuzzle = code => {
+        const puzzle = decodePuzzle(code)
+        if (!puzzle) {
+            this.editBoard("This puzzle link is not valid")
+            return
+        }
+        const saved = this.storageManager.getGameState()
+        if (saved && saved.moves && !window.confirm("Replace the game in progress with this puzzle?")) return
+        this.startPuzzle(puzzle)
+    }
 
     /**
-     * Displays a message when the game is over or won
-     * @param isWin {boolean} whether the game is won or lost
+     * Replaces the game with a puzzle, on its board size
+     * @param puzzle {Object} the puzzle
      */
-    message = isWin => {
-        const messageClass = isWin ? "game-won" : "game-over"
-        const messageContent = isWin ? "You win!" : "Game over!"
-        // "undefined" != typeof gtag && gtag("event", "end", {
-        //     event_category: "game",
-        //     event_label: messageClass,
-        //     value: this.score
-        // })
-        this.messageContainer.classList.add(messageClass)
-        this.messageContainer.getElementsByTagName("p")[0].textContent = messageContent
+    startPuzzle = puzzle => {
+        this.pauseReplay()
+        this.puzzle = null
+        this.loadState(puzzleGame(puzzle).serialize())
     }
 
     /**
-     * Clears the game message element classes
+     * Returns the themes the player can choose from
+     * @returns {{id: string, name: string, colors: Object<string, string>}[]} the built-in themes, then the custom ones
      */
-    clearMessage = () => {
-        this.messageContainer.classList.remove("game-won")
-        this.messageContainer.classList.remove("game-over")
-    }
-}
+    themes = () => Object.values(THEMES).concat(this.storageManager.getCustomThemes())
 
-class Grid {
-    constructor(size, state) {
-        this.size = size
-        this.cells = state ? this.fromState(state) : this.empty()
+    /**
+     * Applies the theme of the profile, dropping the colours edited and not saved
+     */
+    loadTheme = () => {
+        const id = this.storageManager.getTheme()
+        this.theme = this.themes().find(theme => theme.id === id) || THEMES.classic
+        this.themeColors = Object.assign({}, this.theme.colors)
+        this.actuator.applyTheme(this.themeColors)
     }
 
     /**
-     * Build a grid of the specified size
-     * @returns {*[]} a size x size matrix containing nulls
+     * Opens the theme panel
+     * @param status {string} a message about the theme
      */
-    empty = () => {
-        const lines = []
-        for (let i = 0; i < this.size; i ++) {
-            lines[i] = []
-            for (let j = 0; j < this.size; j ++) {
-                lines[i].push(null)
-            }
-        }
-        return lines
+    showThemes = (status = "") => {
+        this.actuator.showThemes(this.themes(), this.theme.id, this.themeColors, status || "")
     }
 
     /**
-     * Build a grid of the specified size from a state
-     * @param state {*[]} the state to build the grid from
-     * @returns {*[]} a size x size matrix containing the tiles
+     * Switches to another theme, which is kept for the next visits
+     * @param id {string} the id of the theme
      */
-    fromState = state => {
-        const lines = []
-        for (let i = 0; i < this.size; i ++) {
-            lines[i] = []
-            for (let n = 0; n < this.size; n ++) {
-                const stateValue = state[i][n]
-                lines[i].push(stateValue ? new Tile(stateValue.position, stateValue.value) : null)
-            }
-        }
-        return lines
+    changeTheme = id => {
+        if (!this.themes().some(theme => theme.id === id)) return
+        this.storageManager.setTheme(id)
+        this.loadTheme()
+        this.showThemes()
     }
 
     /**
-     * Returns a random available position
-     * @returns {*} a random position
+     * Changes a colour of the theme, which is shown at once and kept once saved as a custom theme
+     * @param change {{name: string, color: string}} the name of the colour and its new value
      */
-    randomAvailableCell = () => {
-        const cells = this.availableCells()
-        if (cells.length) return cells[Math.floor(Math.random() * cells.length)]
+    editTheme = change => {
+        if (!THEME_COLORS.includes(change.name) || !THEME_COLOR_PATTERN.test(change.color)) return
+        this.themeColors[change.name] = change.color
+        this.actuator.applyTheme(this.themeColors)
     }
 
     /**
-     * Returns all available cells
-     * @returns {*[]} an array of available cells
+     * Saves the colours being edited as a custom theme, and switches to it
+     * @param name {string} the name of the theme
      */
-    availableCells = () => {
-        const res = []
-        this.eachCell((i, j, cell) => cell || res.push({ x: i, y: j }))
-        return res
+    saveTheme = name => {
+        this.changeTheme(this.storageManager.addCustomTheme({ name: name, colors: this.themeColors }))
     }
 
     /**
-     * Calls callback for every cell
-     * @param callback {Function} the callback to call for each cell
+     * Removes a custom theme, going back to the classic one if it is the current theme
+     * @param id {string} the id of the theme
      */
-    eachCell = callback => {
-        for (let i = 0; i < this.size; i ++) {
-            for (let j = 0; j < this.size; j ++) {
-                callback(i, j, this.cells[i][j])
-            }
+    deleteTheme = id => {
+        if (id in THEMES) return
+        this.storageManager.deleteCustomTheme(id)
+        if (id === this.theme.id) {
+            this.changeTheme("classic")
+        } else {
+            this.showThemes()
         }
     }
 
     /**
-     * Checks if there are any cells available
-     * @returns {boolean} true if there are cells available, false otherwise
+     * Adds an exported theme as a custom theme, and switches to it
+     * @param data {string} the JSON of the theme
      */
-    cellsAvailable = () => !!this.availableCells().length
+    importTheme = data => {
+        const theme = readTheme(data)
+        if (!theme) {
+            this.showThemes("This is not a valid theme")
+            return
+        }
+        this.changeTheme(this.storageManager.addCustomTheme(theme))
+    }
 
     /**
-     * Checks if the specified cell is available
-     * @param cell {{x: *, y: *}} the cell to check
-     * @returns {boolean} true if the cell is available, false otherwise
+     * Exports the replayed recording, or the recording of the current game
      */
-    cellAvailable = cell => !this.cellOccupied(cell)
+    exportReplay = () => {
+        this.actuator.exportRecording(this.replay ? this.replay.recording : this.recording)
+    }
 
     /**
-     * Checks if the specified cell is occupied
-     * @param cell {{x: *, y: *}} the cell to check
-     * @returns {boolean} true if the cell is occupied, false otherwise
+     * Sends the updated grid and game state to the actuator
      */
-    cellOccupied = cell => !!this.cellContent(cell)
+    actuate = () => {
+        if (!this.replay) {
+            this.save()
+        }
+        this.actuator.actuate(this.game.grid, {
+            score: this.game.score,
+            over: this.game.over,
+            won: this.game.won,
+            keepPlaying: this.game.keepPlaying,
+            bestScore: this.storageManager.getBestScore(),
+            terminated: this.game.isGameTerminated(),
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            undosLeft: Math.max(0, this.undoLimit - this.undosUsed),
+            undoLimit: this.undoLimit,
+            seed: this.replay ? this.replay.recording.seed : this.game.random.seed,
+            rules: this.game.rules,
+            target: this.game.target(),
+            mode: this.modeState(),
+            profile: { name: this.storageManager.getProfile().name, slot: this.storageManager.slot },
+            persistent: this.storageManager.persistent,
+            canSaveScore: this.canSaveScore(),
+            playerName: this.storageManager.getPlayerName(),
+            replay: this.replay && {
+                position: this.replay.position,
+                length: this.replay.recording.moves.length,
+                playing: this.replay.playing,
+                speed: this.replay.speed
+            }
+        })
 
-    /**
-     * Returns the content of a cell
-     * @param cell {{x: *, y: *}} the cell to get the content of
-     * @returns {*|null} the content of the cell
-     */
-    cellContent = cell => this.withinBounds(cell) ? this.cells[cell.x][cell.y] : null
+    }
 
     /**
-     * Inserts a tile at its position
-     * @param cell {{x: *, y: *}} the position of the tile
+     * Saves the best score, the game in progress and the result of a daily challenge attempt
      */
-    insertTile = cell => this.cells[cell.x][cell.y] = cell
+    save = () => {
+        if (this.storageManager.getBestScore() < this.game.score) {
+            this.storageManager.setBestScore(this.game.score)
+        }
+        if (this.game.over) {
+            this.storageManager.clearGameState()
+        } else {
+            this.storageManager.setGameState(this.serialize())
+            this.storageManager.setHistory({ undo: this.undoStack, redo: this.redoStack, redoMoves: this.redoMoves })
+            this.storageManager.setRecording(this.recording)
+        }
+        this.updateDaily()
+    }
 
     /**
-     * Removes a tile from its position
-     * @param cell {{x: *, y: *}} the position of the tile
+     * Serializes the game
+     * @returns {Object} the serialized game, with the number of undos used, the start time, the time spent playing,
+     * whether the score is on the leaderboard, the date of its entry and whether the game is in the statistics
      */
-    removeTile = cell => this.cells[cell.x][cell.y] = null
+    serialize = () => Object.assign(this.game.serialize(), {
+        undosUsed: this.undosUsed,
+        startedAt: this.startedAt,
+        playTime: this.playTime,
+        scoreSaved: this.scoreSaved,
+        scoreDate: this.scoreDate,
+        statsRecorded: this.statsRecorded
+    })
 
     /**
-     * Checks if a position is within the grid bounds
-     * @param cell {{x: *, y: *}} the position to check
-     * @returns {boolean} true if the position is within the grid bounds, false otherwise
+     * Performs a move requested by the player, unless a replay is shown
+     * @param key {0|1|2|3} the direction
      */
-    withinBounds = cell =>
-        cell.x >= 0 && cell.x < this.size && cell.y >= 0 && cell.y < this.size
+    playerMove = key => {
+        if (!this.replay) this.move(key)
+    }
 
     /**
-     * Serializes the grid
-     * @returns {{cells: *[], size}} the serialized grid
+     * Performs a move for the given direction
+     * @param key {0|1|2|3} the direction
+     * @param spawn {{x: number, y: number, value: number, type: ?string}} the tile to add after the move, random by default
      */
-    serialize = () => {
-        const cells = []
-        for (let i = 0; i < this.size; i ++) {
-            cells[i] = []
-            for (let j = 0; j < this.size; j ++) {
-                cells[i].push(this.cells[i][j] ? this.cells[i][j].serialize() : null)
+    move = (key, spawn = null) => {
+        if (!this.game.isGameTerminated()) {
+            const previousState = this.serialize()
+            const won = this.game.won
+            const result = this.game.move(key, spawn)
+            if (result.moved) {
+                this.pushHistory(previousState)
+                this.recording.moves.push([key, result.spawn.x, result.spawn.y, result.spawn.value, result.spawn.type])
+                if (this.game.over && !this.replay && !this.isPuzzle()) {
+                    this.recordFinishedGame()
+                }
             }
+            this.actuator.announceMove(key, result, {
+                score: this.game.score,
+                over: this.game.over,
+                won: this.game.won && !won,
+                winMessage: this.game.rules.winMessage,
+                overMessage: this.game.mode.overMessage
+            })
+            this.actuate()
         }
-        return { size: this.size, cells: cells }
     }
-}
 
-class Tile {
-    constructor(position, value) {
-        this.x = position.x
-        this.y = position.y
-        this.value = value || 2
-        this.previousPosition = null
-        this.mergedFrom = null
-    }
+    /**
+     * Checks if the score of the ended game can go on the leaderboard
+     * @returns {boolean} true if the game has ended with a high enough score that was not saved yet, outside of a
+     * puzzle, false otherwise
+     */
+    canSaveScore = () => !this.replay && !this.scoreSaved && this.game.isGameTerminated() && !this.isPuzzle() &&
+        this.storageManager.isLeaderboardScore(this.game.score)
 
     /**
-     * Saves the previous position of the tile
+     * Checks if the game is a puzzle, whose board and score were set up in the editor
+     * @returns {boolean} true for a puzzle, kept off the leaderboard and the statistics, false otherwise
      */
-    savePosition = () => {
-        this.previousPosition = { x: this.x, y: this.y }
-    }
+    isPuzzle = () => this.game.mode.id === "puzzle"
 
     /**
-     * Updates the tile position
-     * @param newPosition {{x: *, y: *}} the new position
+     * Puts the score of the ended game on the leaderboard, in place of the one saved on winning if any, then shows it
+     * @param name {string} the name of the player
      */
-    updatePosition = newPosition => {
-        this.x = newPosition.x
-        this.y = newPosition.y
+    saveScore = name => {
+        if (!this.canSaveScore()) return
+        const date = new Date().toISOString()
+        this.storageManager.addLeaderboardEntry({
+            name: name,
+            score: this.game.score,
+            highestTile: this.game.grid.highestValue(),
+            size: this.game.grid.size,
+            rules: this.game.rules.id,
+            mode: this.game.mode.id,
+            date: date
+        }, this.scoreDate)
+        this.storageManager.setPlayerName(name)
+        this.scoreSaved = true
+        this.scoreDate = date
+        this.actuate()
+        this.showLeaderboard(null, date)
     }
 
     /**
-     * Serializes the tile
-     * @returns {{position: {x, y}, value: (*|number)}} the serialized tile
+     * Shows the leaderboard
+     * @param player {?string} the player whose entries are listed, null for everyone
+     * @param current {?string} the date of the entry to highlight
      */
-    serialize = () => ({ position: { x: this.x, y: this.y }, value: this.value })
-}
+    showLeaderboard = (player = null, current = null) => {
+        const entries = this.storageManager.getLeaderboard()
+        const players = [...new Set(entries.map(entry => entry.name))].sort()
+        if (!players.includes(player)) player = null
+        const listed = player ? entries.filter(entry => entry.name === player) : entries
+        this.actuator.showLeaderboard(listed, players, player, current)
+    }
 
-class LocalStorageManager {
-    constructor() {
-        this.bestScoreKey = "bestScore"
-        this.gameStateKey = "gameState"
-        this.noticeClosedKey = "noticeClosed"
-        this.cookieNoticeClosedKey = "cookieNoticeClosed"
-        const e = this.localStorageSupported()
-        this.storage = e ? window.localStorage : window.fakeStorage
+    /**
+     * Clears the entries of a player from the leaderboard of the profile
+     * @param player {?string} the name of the player, null to clear the whole leaderboard of the profile
+     */
+    clearLeaderboard = player => {
+        this.storageManager.clearLeaderboard(player)
+        this.showLeaderboard()
+        this.actuate()
     }
 
     /**
-     * Checks if local storage is supported
-     * @returns {boolean} true if local storage is supported, false otherwise
+     * Binds a key to an action, unless the key is already in use
+     * @param change {{action: string, binding: ?string}} the action and the key, null when the capture was cancelled
      */
-    localStorageSupported = () => {
-        const testValue = "test"
-        const localStorage = window.localStorage
-        try {
-            localStorage.setItem(testValue, "1")
-            localStorage.removeItem(testValue)
-            return true
-        } catch (e) {
-            return false
+    bindKey = change => {
+        const bindings = this.inputManager.bindings
+        const reserved = KeyboardInputManager.reservedBindings[change.binding]
+        const owner = Object.keys(bindings).find(action => bindings[action].includes(change.binding))
+        let status = ""
+        if (!change.binding) {
+            // Cancelled with Escape
+        } else if (reserved) {
+            status = this.actuator.formatBinding(change.binding) + " is reserved for " +
+                (reserved === "redo" ? "Redo" : "closing panels")
+        } else if (owner) {
+            status = this.actuator.formatBinding(change.binding) + " is already bound to " +
+                KeyboardInputManager.actionNames[owner]
+        } else {
+            bindings[change.action].push(change.binding)
+            this.saveBindings(bindings)
         }
+        this.actuator.showKeySettings(this.inputManager.bindings, status)
     }
 
     /**
-     * Returns the best score
-     * @returns {string|number} the best score
+     * Removes a key from an action
+     * @param change {{action: string, binding: string}} the action and the key
      */
-    getBestScore = () => this.storage.getItem(this.bestScoreKey) || 0
+    unbindKey = change => {
+        const bindings = this.inputManager.bindings
+        bindings[change.action] = bindings[change.action].filter(binding => binding !== change.binding)
+        this.saveBindings(bindings)
+        this.actuator.showKeySettings(this.inputManager.bindings)
+    }
 
     /**
-     * Sets the best score
-     * @param newBestScore {string|number} the new best score
+     * Goes back to the default keys and swipe thresholds
      */
-    setBestScore = newBestScore => this.storage.setItem(this.bestScoreKey, newBestScore)
+    resetBindings = () => {
+        this.storageManager.setKeyBindings(null)
+        this.storageManager.setSwipeThresholds(null)
+        this.inputManager.setBindings(KeyboardInputManager.defaultBindings)
+        this.inputManager.setSwipeThresholds(KeyboardInputManager.defaultSwipeThresholds)
+        this.actuator.showSwipeThresholds(this.inputManager.swipeThresholds())
+        this.actuator.showKeySettings(this.inputManager.bindings)
+    }
 
     /**
-     * Returns the game state
-     * @returns {any|null} the game state
+     * Applies and saves the distance and the speed a swipe must reach
+     * @param thresholds {{minSwipeDistance: number, minSwipeVelocity: number}} the distance in pixels and the speed in
+     * pixels per millisecond, the default ones for those that are not valid
      */
-    getGameState = () => {
-        const gameState = this.storage.getItem(this.gameStateKey)
-        return gameState ? JSON.parse(gameState) : null
+    changeSwipeThresholds = thresholds => {
+        this.inputManager.setSwipeThresholds(thresholds)
+        this.storageManager.setSwipeThresholds(this.inputManager.swipeThresholds())
+        this.actuator.showSwipeThresholds(this.inputManager.swipeThresholds())
     }
 
     /**
-     * Sets the game state
-     * @param newGameState {Object} the new game state
+     * Applies and saves the keys bound to the actions
+     * @param bindings {Object<string, string[]>} the keys bound to each action
      */
-    setGameState = newGameState => {
-        this.storage.setItem(this.gameStateKey, JSON.stringify(newGameState))
+    saveBindings = bindings => {
+        this.inputManager.setBindings(bindings)
+        this.storageManager.setKeyBindings(this.inputManager.bindings)
     }
 
     /**
-     * Clears the game state
+     * Adds the current game to the statistics, once however many times it ends after undos
      */
-    clearGameState = () => {
-        this.storage.removeItem(this.gameStateKey)
+    recordFinishedGame = () => {
+        if (this.statsRecorded) return
+        this.statsRecorded = true
+        this.storageManager.addGameStats({
+            date: new Date().toISOString(),
+            score: this.game.score,
+            highestTile: this.game.grid.highestValue(),
+            moves: this.recording.moves.length,
+            duration: this.playTime,
+            won: this.game.won,
+            size: this.game.grid.size,
+            rules: this.game.rules.id,
+            mode: this.game.mode.id
+        })
     }
+}
 
-    setNoticeClosed = e => {
-        this.storage.setItem(this.noticeClosedKey, JSON.stringify(e))
+class VersusManager {
+    /**
+     * @param inputManager {KeyboardInputManager} the input of the single game, which leaves the keys to the players
+     * during a match
+     * @param duration {number} the length of a match in milliseconds
+     */
+    constructor(inputManager, duration = 120000) {
+        this.inputManager = inputManager
+        this.duration = duration
+        this.container = document.querySelector(".versus-container")
+        this.timer = this.container.querySelector(".versus-timer")
+        this.bar = this.container.querySelector(".versus-bar")
+        this.scores = this.container.querySelector(".versus-scores")
+        this.result = this.container.querySelector(".versus-result")
+        this.players = null
+        this.clock = null
+        this.endsAt = 0
+        this.inputManager.on("startVersus", this.start)
+        this.inputManager.on("stopVersus", this.stop)
     }
 
-    getNoticeClosed = () => JSON.parse(this.storage.getItem(this.noticeClosedKey) || "false")
-
-    setCookieNoticeClosed = isClosed => {
-        this.storage.setItem(this.cookieNoticeClosedKey, JSON.stringify(isClosed))
+    /**
+     * Creates the game of each player, in memory so that the single game keeps its scores and saves
+     * @returns {Promise<void>} resolved once the games are ready
+     */
+    createPlayers = () => {
+        const boards = this.container.querySelectorAll(".versus-board")
+        return Promise.all(VersusManager.bindings.map((bindings, i) => {
+            const storageManager = new StorageManager(new MemoryStorage())
+            return storageManager.load().then(() => {
+                const input = new KeyboardInputManager(bindings, { controls: false })
+                const manager = new GameManager(4, input, new VersusActuator(boards[i]), storageManager, { undoLimit: 0 })
+                input.active = false
+                input.on("move", this.updateScores)
+                return { input: input, manager: manager }
+            })
+        })).then(players => {
+            this.players = players
+        })
     }
 
-    getCookieNoticeClosed = () =>
-        JSON.parse(this.storage.getItem(this.cookieNoticeClosedKey) || "false")
-}
+    /**
+     * Starts a match, both boards getting the same tiles
+     */
+    start = () => {
+        this.stopClock()
+        const seed = SeededRandom.randomSeed()
+        const ready = this.players ? Promise.resolve() : this.createPlayers()
+        ready.then(() => {
+            this.players.forEach(player => {
+                player.manager.startSeeded(new SeededRandom(seed))
+                // The match is a race for points, which goes on past 2048
+                player.manager.game.keepPlaying = true
+                player.input.active = true
+            })
+            this.inputManager.active = false
+            this.result.classList.remove("visible")
+            this.container.classList.add("visible")
+            this.endsAt = Date.now() + this.duration
+            this.clock = window.setInterval(this.tick, 250)
+            this.tick()
+            this.updateScores()
+        })
+    }
 
-class GameManager {
-    constructor(size, inputManager, actuator, storageManager) {
-        this.size = size
-        this.inputManager = inputManager
-        this.storageManager = storageManager
-        this.actuator = actuator
-        this.startTiles = 2
-        this.inputManager.on("move", this.move.bind(this))
-        this.inputManager.on("restart", this.restart.bind(this))
-        this.inputManager.on("keepPlaying", this.keepPlaying.bind(this))
-        this.over = false
-        this.won = false
-        this.setup()
+    /**
+     * Counts the time down, and ends the match once it runs out or no player can move
+     */
+    tick = () => {
+        const timeLeft = Math.max(0, this.endsAt - Date.now())
+        this.timer.textContent = HTMLActuator.formatTime(timeLeft)
+        if (!timeLeft || this.players.every(player => player.manager.game.over)) {
+            this.finish()
+        }
     }
 
     /**
-     * Clears the state of the game and restarts it
+     * Compares the scores of the players
      */
-    restart = () => {
-        this.storageManager.clearGameState()
-        this.actuator.continueGame()
-        this.setup()
+    updateScores = () => {
+        const [first, second] = this.players.map(player => player.manager.game.score)
+        this.scores.textContent = first + " – " + second
+        this.bar.style.width = (first + second ? 100 * first / (first + second) : 50) + "%"
     }
 
     /**
-     * Keeps playing after winning (allows going over 2048)
+     * Ends the match and shows the winner
      */
-    keepPlaying = () => {
-        this.keepPlaying = true
-        this.actuator.continueGame()
+    finish = () => {
+        this.stopClock()
+        this.players.forEach(player => player.input.active = false)
+        const [first, second] = this.players.map(player => player.manager.game.score)
+        this.result.querySelector("p").textContent = first === second ? "It's a draw!" :
+            "Player " + (first > second ? 1 : 2) + " wins!"
+        this.result.classList.add("visible")
+        this.result.querySelector(".versus-rematch-button").focus()
     }
 
     /**
-     * Checks if the game is over
-     * @returns {boolean} true if the game is over, false otherwise
+     * Leaves the match and gives the keys back to the single game
      */
-    isGameTerminated = () => this.over || this.won && !this.keepPlaying
+    stop = () => {
+        this.stopClock()
+        if (this.players) this.players.forEach(player => player.input.active = false)
+        this.container.classList.remove("visible")
+        this.result.classList.remove("visible")
+        this.inputManager.active = true
+    }
 
     /**
-     * Sets up the game
+     * Stops counting the time down
      */
-    setup = () => {
-        const gameState = this.storageManager.getGameState()
-        if (gameState) {
-            this.grid = new Grid(gameState.grid.size, gameState.grid.cells)
-            this.score = gameState.score
-            this.over = gameState.over
-            this.won = gameState.won
-            this.keepPlaying = gameState.keepPlaying
-            this.actuate()
-        } else {
-            this.grid = new Grid(this.size)
-            this.score = 0
-            this.over = false
-            this.won = false
-            this.keepPlaying = false
-            this.addStartTiles()
-            this.actuate()
-        }
+    stopClock = () => {
+        window.clearInterval(this.clock)
+        this.clock = null
     }
+}
+
+// The keys of each player
+VersusManager.bindings = [
+    { up: ["KeyW"], right: ["KeyD"], down: ["KeyS"], left: ["KeyA"] },
+    { up: ["ArrowUp"], right: ["ArrowRight"], down: ["ArrowDown"], left: ["ArrowLeft"] }
+].map(KeyboardInputManager.movesOnly)
 
+class RaceManager {
     /**
-     * Adds the initial tiles to the grid
+     * @param inputManager {KeyboardInputManager} the input of the single game, which leaves the keys to the race
+     * @param storageManager {StorageManager} the storage of the single game, for the keys and the name of the player
      */
-    addStartTiles = () => {
-        for (let i = 0; i < this.startTiles; i ++)
-            this.addRandomTile()
+    constructor(inputManager, storageManager) {
+        this.inputManager = inputManager
+        this.storageManager = storageManager
+        this.panel = document.querySelector(".race-panel")
+        this.container = document.querySelector(".race-container")
+        this.status = this.container.querySelector(".race-status")
+        this.bar = this.container.querySelector(".race-bar")
+        this.scores = this.container.querySelector(".race-scores")
+        this.opponentName = this.container.querySelector(".race-opponent")
+        this.result = this.container.querySelector(".race-result")
+        this.player = null
+        this.opponent = null
+        this.opponentGame = null
+        this.socket = null
+        this.race = null
+        this.running = false
+        this.movesSent = 0
+        this.inputManager.on("showRace", this.showPanel)
+        this.inputManager.on("joinRace", this.join)
+        this.inputManager.on("raceAgain", this.again)
+        this.inputManager.on("leaveRace", this.leave)
     }
 
     /**
-     * Adds a tile in a random position
+     * Opens the panel to join a race
      */
-    addRandomTile = () => {
-        if (this.grid.cellsAvailable()) {
-            const tileValue = Math.random() < .9 ? 2 : 4
-            const tile = new Tile(this.grid.randomAvailableCell(), tileValue)
-            this.grid.insertTile(tile)
-        }
+    showPanel = () => {
+        const name = this.panel.querySelector(".race-name")
+        if (!name.value) name.value = this.storageManager.getPlayerName()
+        this.panel.classList.add("visible")
+        this.panel.querySelector(".race-room").focus()
     }
 
     /**
-     * Sends the updated grid and game state to the actuator
+     * Creates the game of the player, in memory so that the single game keeps its scores and saves, and the board
+     * showing the opponent
+     * @returns {Promise<void>} resolved once the game is ready
      */
-    actuate = () => {
-        if (this.storageManager.getBestScore() < this.score) {
-            this.storageManager.setBestScore(this.score)
-        }
-        this.over ? this.storageManager.clearGameState() : this.storageManager.setGameState(this.serialize())
-        this.actuator.actuate(this.grid, {
-            score: this.score,
-            over: this.over,
-            won: this.won,
-            bestScore: this.storageManager.getBestScore(),
-            terminated: this.isGameTerminated()
+    createPlayer = () => {
+        const storageManager = new StorageManager(new MemoryStorage())
+        return storageManager.load().then(() => {
+            const boards = this.container.querySelectorAll(".race-board")
+            const bindings = this.storageManager.getKeyBindings() || KeyboardInputManager.defaultBindings
+            const input = new KeyboardInputManager(KeyboardInputManager.movesOnly(bindings), { controls: false })
+            const manager = new GameManager(4, input, new VersusActuator(boards[0]), storageManager, { undoLimit: 0 })
+            input.active = false
+            input.on("move", this.sendMove)
+            this.player = { input: input, manager: manager }
+            this.opponent = new VersusActuator(boards[1])
+            this.opponent.setupGrid(4)
         })
-
     }
 
     /**
-     * Serializes the game
-     * @returns {{over: boolean, score: (number|*), grid: {cells: *[], size}, won: boolean, keepPlaying: GameManager.keepPlaying}} the serialized game
-     */
-    serialize = () => ({
-        grid: this.grid.serialize(),
-        score: this.score,
-        over: this.over,
-        won: this.won,
-        keepPlaying: this.keepPlaying
-    })
+     * Connects to a race server and joins a room
+     * @param race {{server: string, room: string, name: string}} the address of the server, the room and the name
+     * of the player
+     */
+    join = race => {
+        if (!race.server || !race.room || !race.name) return
+        this.race = race
+        this.panel.classList.remove("visible")
+        this.result.classList.remove("visible")
+        this.container.classList.add("visible")
+        this.inputManager.active = false
+        this.connect()
+    }
 
     /**
-     * Prepares the game to be serialized
+     * Opens the connection to the race server
      */
-    prepareTiles = () => {
-        this.grid.eachCell((i, j, cell) => {
-            if (cell) {
-                cell.mergedFrom = null
-                cell.savePosition()
+    connect = () => {
+        this.disconnect()
+        let socket
+        try {
+            socket = new WebSocket(this.race.server)
+        } catch (error) {
+            this.status.textContent = "Invalid server address"
+            return
+        }
+        let opened = false
+        this.socket = socket
+        this.status.textContent = "Connecting…"
+        socket.addEventListener("open", () => {
+            opened = true
+            this.send({ type: "join", room: this.race.room, name: this.race.name })
+        })
+        socket.addEventListener("message", event => {
+            let message
+            try {
+                message = JSON.parse(event.data)
+            } catch (error) {
+                return
             }
+            this.receive(message)
+        })
+        socket.addEventListener("close", () => {
+            if (socket !== this.socket) return
+            this.socket = null
+            this.running = false
+            if (this.player) this.player.input.active = false
+            this.status.textContent = opened ? "Disconnected from the server" : "Cannot reach " + this.race.server
         })
     }
 
     /**
-     * Moves a tile and its representation
-     * @param initialPosition {{x: *, y: *}} the initial position
-     * @param newPosition {{x: *, y: *}} the new position
+     * Closes the connection to the race server
      */
-    moveTile = (initialPosition, newPosition) => {
-        this.grid.cells[initialPosition.x][initialPosition.y] = null
-        this.grid.cells[newPosition.x][newPosition.y] = initialPosition
-        initialPosition.updatePosition(newPosition)
+    disconnect = () => {
+        const socket = this.socket
+        this.socket = null
+        this.running = false
+        if (socket) socket.close()
     }
 
     /**
-     * Performs a move for the given direction
-     * @param key {0|1|2|3} the direction
+     * Sends a message to the race server
+     * @param message {Object} the message
      */
-    move = key => {
-        if (!this.isGameTerminated()) {
-            let traversal
-            let oldCellContent
-            const vector = this.getVector(key)
-            const traversals = this.buildTraversals(vector)
-            let somethingMoved = false
-            this.prepareTiles()
-            traversals.x.forEach(traversalX => {
-                traversals.y.forEach(traversalY => {
-                    traversal = { x: traversalX, y: traversalY }
-                    oldCellContent = this.grid.cellContent(traversal)
-                    if (oldCellContent) {
-                        const farthestPosition = this.findFarthestPosition(traversal, vector)
-                        const nextCellContent = this.grid.cellContent(farthestPosition.next)
-                        if (nextCellContent && nextCellContent.value === oldCellContent.value && !nextCellContent.mergedFrom) {
-                            const newTile = new Tile(farthestPosition.next, 2 * oldCellContent.value)
-                            newTile.mergedFrom = [oldCellContent, nextCellContent]
-                            this.grid.insertTile(newTile)
-                            this.grid.removeTile(oldCellContent)
-                            oldCellContent.updatePosition(farthestPosition.next)
-                            this.score += newTile.value
-                            if (2048 === newTile.value) this.won = true
-                        } else this.moveTile(oldCellContent, farthestPosition.farthest)
-                        if (!this.positionsEqual(traversal, oldCellContent)) somethingMoved = true
-                    }
-                })
-            })
-            if (somethingMoved) {
-                this.addRandomTile()
-                if (!this.movesAvailable()) {
-                    this.over = true
-                }
-            }
-            this.actuate()
+    send = message => {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) this.socket.send(JSON.stringify(message))
+    }
+
+    /**
+     * Handles a message of the race server
+     * @param message {{type: string}} the message
+     */
+    receive = message => {
+        if (message.type === "waiting") {
+            this.status.textContent = "Waiting for an opponent in room " + message.room + "…"
+        } else if (message.type === "start") {
+            this.start(message)
+        } else if (message.type === "opponent" && this.running) {
+            // The moves and the end of a race only count while it runs, not before it starts or after a reconnect
+            this.showOpponent(message.state)
+        } else if (message.type === "end" && this.running) {
+            this.finish(message)
+        } else if (message.type === "error") {
+            this.status.textContent = message.message
         }
     }
 
     /**
-     * Gets the vector for the given direction
-     * @param key {0|1|2|3} the direction
-     * @returns {{x: *, y: *}} the vector
+     * Starts a race
+     * @param message {{seed: string, opponent: string, state: Object}} the seed shared by both players, the name of
+     * the opponent and the start of the game
      */
-    getVector = key => {
-        return {
-            0: { x: 0, y: - 1 },
-            1: { x: 1, y: 0 },
-            2: { x: 0, y: 1 },
-            3: { x: - 1, y: 0 }
-        }[key]
+    start = message => {
+        const ready = this.player ? Promise.resolve() : this.createPlayer()
+        ready.then(() => {
+            this.player.manager.startSeeded(new SeededRandom(message.seed))
+            this.running = true
+            this.opponentGame = null
+            this.movesSent = 0
+            this.opponentName.textContent = message.opponent
+            this.status.textContent = "Race to 2048!"
+            this.result.classList.remove("visible")
+            this.showOpponent(message.state)
+            this.player.input.active = true
+        })
     }
 
     /**
-     * Builds the traversals for the given vector
-     * @param vector {{x: *, y: *}} the vector
-     * @returns {{x: *[], y: *[]}} the traversals
+     * Sends the move the player just made, with the game after it
      */
-    buildTraversals = vector => {
-        const traversals = { x: [], y: [] }
-        for (let i = 0; i < this.size; i ++) {
-            traversals.x.push(i)
-            traversals.y.push(i)
-        }
-        1 === vector.x && (traversals.x = traversals.x.reverse())
-        1 === vector.y && (traversals.y = traversals.y.reverse())
-        return traversals
+    sendMove = () => {
+        const moves = this.player.manager.recording.moves
+        if (moves.length === this.movesSent) return
+        this.movesSent = moves.length
+        this.send({ type: "move", direction: moves[moves.length - 1][0], state: this.player.manager.game.serialize() })
+        this.updateScores()
     }
 
     /**
-     * Finds the farthest position for a tile in a given direction
-     * and returns the farthest position and the next position
-     * @param cell {{x: *, y: *}} the cell
-     * @param vector {{x: *, y: *}} the direction vector
-     * @returns {{next: {x: *, y: *}, farthest}} the farthest position and the next position
+     * Shows the game of the opponent
+     * @param state {Object} the serialized game
      */
-    findFarthestPosition = (cell, vector) => {
-        let res
-        do {
-            cell = { x: (res = cell).x + vector.x, y: res.y + vector.y }
-        } while (this.grid.withinBounds(cell) && this.grid.cellAvailable(cell))
-        return { farthest: res, next: cell }
+    showOpponent = state => {
+        if (!isValidSave(state)) return
+        this.opponentGame = Game.fromState(state)
+        this.opponent.actuate(this.opponentGame.grid, { score: this.opponentGame.score, over: this.opponentGame.over })
+        this.updateScores()
     }
 
     /**
-     * Checks if there are still moves available
-     * @returns {boolean|*} true if there are still moves available, false otherwise
+     * Compares the scores of the players
      */
-    movesAvailable = () => this.grid.cellsAvailable() || this.tileMatchesAvailable()
+    updateScores = () => {
+        const own = this.player.manager.game.score
+        const opponent = this.opponentGame ? this.opponentGame.score : 0
+        this.scores.textContent = own + " – " + opponent
+        this.bar.style.width = (own + opponent ? 100 * own / (own + opponent) : 50) + "%"
+    }
 
     /**
-     * Checks if there are still tile matches available
-     * @returns {boolean} true if there are still tile matches available, false otherwise
+     * Shows the end of a race
+     * @param message {{result: "win"|"loss"|"draw", reason: string, scores: number[]}} the outcome for the player,
+     * how the race ended, and the scores of the player then of the opponent
      */
-    tileMatchesAvailable = () => {
-        let tile
-        for (let i = 0; i < this.size; i ++) {
-            for (let j = 0; j < this.size; j ++) {
-                tile = this.grid.cellContent({ x: i, y: j })
-                if (tile) {
-                    for (let key = 0; key < 4; key ++) {
-                        const vector = this.getVector(key)
-                        const nextCell = { x: i + vector.x, y: j + vector.y }
-                        const nextTile = this.grid.cellContent(nextCell)
-                        if (nextTile && nextTile.value === tile.value) return true
-                    }
-                }
-            }
+    finish = message => {
+        const outcomes = { win: "You win!", loss: "You lose!", draw: "It's a draw!" }
+        this.running = false
+        this.player.input.active = false
+        this.status.textContent = "Race over"
+        this.result.querySelector(".race-outcome").textContent = outcomes[message.result] || ""
+        this.result.querySelector(".race-reason").textContent = message.reason + ", " + message.scores.join(" – ")
+        this.result.classList.add("visible")
+        this.result.querySelector(".race-again-button").focus()
+    }
+
+    /**
+     * Waits in the same room for another race
+     */
+    again = () => {
+        this.result.classList.remove("visible")
+        if (this.socket) {
+            this.send({ type: "join", room: this.race.room, name: this.race.name })
+        } else {
+            this.connect()
         }
-        return false
     }
 
     /**
-     * Checks if two positions are equal
-     * @param cell1 {{x: *, y: *}} the first position
-     * @param cell2 {{x: *, y: *}} the second position
-     * @returns {boolean} true if the positions are equal, false otherwise
+     * Leaves the race and gives the keys back to the single game
      */
-    positionsEqual = (cell1, cell2) => cell1.x === cell2.x && cell1.y === cell2.y
+    leave = () => {
+        this.disconnect()
+        if (this.player) this.player.input.active = false
+        this.container.classList.remove("visible")
+        this.result.classList.remove("visible")
+        this.inputManager.active = true
+    }
 }
 
 function runApplication() {
-    new GameManager(4, new KeyboardInputManager(), new HTMLActuator(), new LocalStorageManager())
+    const start = storage => {
+        const storageManager = new StorageManager(storage)
+        return storageManager.load().then(() => startGame(storageManager))
+    }
+    // A storage that cannot be read still gives a game, lost on leaving the page
+    openStorage().then(start).catch(() => start(new MemoryStorage()))
+}
+
+/**
+ * Starts the game once the storage is loaded
+ * @param storageManager {StorageManager} the storage
+ */
+function startGame(storageManager) {
+    const params = new URLSearchParams(window.location.search)
+    const seed = params.get("seed")
+    const size = parseInt(params.get("size"), 10)
+    if (BOARD_SIZES.includes(size)) {
+        storageManager.setBoardSize(size)
+    }
+    let random = null
+    let rules = RULE_PRESETS[storageManager.getRulesPreset()]
+    let mode = GAME_MODES[storageManager.getMode()]
+    if (seed !== null) {
+        // Reloading should resume the seeded game rather than start it over
+        window.history.replaceState(null, "", window.location.pathname)
+        // The same seed only gives the same spawns under the same rules and mode, the ones of the link when it has them
+        const rulesId = params.get("rules")
+        const modeId = params.get("mode")
+        const linkRules = Object.prototype.hasOwnProperty.call(RULE_PRESETS, rulesId) ? RULE_PRESETS[rulesId] : rules
+        const linkMode = Object.prototype.hasOwnProperty.call(GAME_MODES, modeId) ? GAME_MODES[modeId] : mode
+        storageManager.useBoardSize(storageManager.getBoardSize())
+        const saved = storageManager.getGameState()
+        // The seed shown under the board links to the game in progress, which goes on
+        const resumed = saved && saved.seed === seed && saved.rules.id === linkRules.id && saved.mode.id === linkMode.id
+        if (!resumed && (!saved || !saved.moves ||
+            window.confirm("Replace the game in progress with a new game of this seed?"))) {
+            random = new SeededRandom(seed)
+            rules = linkRules
+            mode = linkMode
+            storageManager.setRulesPreset(linkRules.id)
+            storageManager.setMode(linkMode.id)
+        }
+    }
+    const inputManager = new KeyboardInputManager(storageManager.getKeyBindings(), storageManager.getSwipeThresholds() || {})
+    new GamepadInputManager(inputManager)
+    new VersusManager(inputManager)
+    new RaceManager(inputManager, storageManager)
+    let solver = null
+    try {
+        solver = window.Worker ? new AISolver("ai-worker.js") : null
+    } catch (e) {
+        // Pages opened from files cannot start workers in some browsers, the game goes on without hints
+    }
+    new GameManager(storageManager.getBoardSize(), inputManager, createActuator(storageManager.getRenderer()), storageManager, {
+        undoLimit: storageManager.getUndoLimit(),
+        random: random,
+        rules: rules,
+        mode: mode,
+        solver: solver
+    })
+    inputManager.readPuzzleLink()
     // const e = new LocalStorageManager
     // t = document.querySelector(".cookie-notice")
     // i = document.querySelector(".cookie-notice-dismiss-button")
@@ -875,17 +4425,6 @@ function runApplication() {
 }()
 */
 
-window.fakeStorage = {
-    _data: {}, setItem: function (e, t) {
-        return this._data[e] = String(t)
-    }, getItem: function (e) {
-        return this._data.hasOwnProperty(e) ? this._data[e] : void 0
-    }, removeItem: function (e) {
-        return delete this._data[e]
-    }, clear: function () {
-        return this._data = {}
-    }
-}
 window.requestAnimationFrame(() => {
     if (undefined !== window.PokiSDK) {
         PokiSDK.init().then(() => {
@@ -0,0 +1,332 @@
+// Relay and room server for the online races, with nothing to install:
+// node race-server.js [--port 8080]
+// Players join a room by name, get the same seed once two of them are in, and see the moves of each other.
+// Every move is played again here, so that a board or a score the game could not have reached is rejected
+
+const http = require("http")
+const crypto = require("crypto")
+const { Game, SeededRandom, RULE_PRESETS } = require("./game-core.js")
+
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11"
+const MAX_MESSAGE_SIZE = 64 * 1024
+const OPCODES = { continuation: 0, text: 1, binary: 2, close: 8, ping: 9, pong: 10 }
+
+/**
+ * Builds a WebSocket frame, unmasked as the server sends them
+ * @param opcode {number} the type of the frame, one of OPCODES
+ * @param payload {Buffer} the data
+ * @returns {Buffer} the frame
+ */
+function encodeFrame(opcode, payload) {
+    let header
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length])
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4)
+        header[0] = 0x80 | opcode
+        header[1] = 126
+        header.writeUInt16BE(payload.length, 2)
+    } else {
+        header = Buffer.alloc(10)
+        header[0] = 0x80 | opcode
+        header[1] = 127
+        header.writeBigUInt64BE(BigInt(payload.length), 2)
+    }
+    return Buffer.concat([header, payload])
+}
+
+/**
+ * Reads the first WebSocket frame of a buffer
+ * @param buffer {Buffer} the data received so far
+ * @returns {?{fin: boolean, opcode: number, payload: Buffer, length: number}} the frame and the number of bytes it
+ * takes, null until the whole frame is received
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null
+    const masked = (buffer[1] & 0x80) !== 0
+    let length = buffer[1] & 0x7f
+    let offset = 2
+    if (length === 126) {
+        if (buffer.length < 4) return null
+        length = buffer.readUInt16BE(2)
+        offset = 4
+    } else if (length === 127) {
+        if (buffer.length < 10) return null
+        // Far beyond MAX_MESSAGE_SIZE, the exact size does not matter
+        length = Number(buffer.readBigUInt64BE(2))
+        offset = 10
+    }
+    if (length > MAX_MESSAGE_SIZE) {
+        throw new Error("Message too large")
+    }
+    const mask = masked ? buffer.subarray(offset, offset + 4) : null
+    if (masked) offset += 4
+    if (buffer.length < offset + length) return null
+    const payload = Buffer.from(buffer.subarray(offset, offset + length))
+    if (mask) {
+        for (let i = 0; i < payload.length; i ++) payload[i] ^= mask[i % 4]
+    }
+    return { fin: (buffer[0] & 0x80) !== 0, opcode: buffer[0] & 0x0f, payload: payload, length: offset + length }
+}
+
+class Connection {
+    /**
+     * @param socket {net.Socket} the socket, once the WebSocket handshake is done
+     * @param onMessage {function(Object)} called with each message, parsed from JSON
+     * @param onClose {function()} called once the connection is closed
+     */
+    constructor(socket, onMessage, onClose) {
+        this.socket = socket
+        this.onMessage = onMessage
+        this.onClose = onClose
+        this.buffer = Buffer.alloc(0)
+        this.fragments = []
+        this.closed = false
+        socket.on("data", this.receive)
+        socket.on("end", this.close)
+        socket.on("close", this.close)
+        socket.on("error", this.close)
+    }
+
+    /**
+     * Reads the frames received
+     * @param data {Buffer} the bytes received
+     */
+    receive = data => {
+        this.buffer = Buffer.concat([this.buffer, data])
+        try {
+            for (let frame = decodeFrame(this.buffer); frame; frame = decodeFrame(this.buffer)) {
+                this.buffer = this.buffer.subarray(frame.length)
+                this.handleFrame(frame)
+            }
+        } catch (error) {
+            this.close()
+        }
+    }
+
+    /**
+     * Answers a control frame, or passes a message on once all its frames are received
+     * @param frame {{fin: boolean, opcode: number, payload: Buffer}} the frame
+     */
+    handleFrame = frame => {
+        if (frame.opcode === OPCODES.close) {
+            this.close()
+        } else if (frame.opcode === OPCODES.ping) {
+            this.socket.write(encodeFrame(OPCODES.pong, frame.payload))
+        } else if (frame.opcode === OPCODES.text || frame.opcode === OPCODES.continuation) {
+            this.fragments.push(frame.payload)
+            if (this.fragments.reduce((size, fragment) => size + fragment.length, 0) > MAX_MESSAGE_SIZE) {
+                throw new Error("Message too large")
+            }
+            if (frame.fin) {
+                const text = Buffer.concat(this.fragments).toString("utf8")
+                this.fragments = []
+                let message
+                try {
+                    message = JSON.parse(text)
+                } catch (error) {
+                    return
+                }
+                if (message && typeof message === "object") this.onMessage(message)
+            }
+        }
+    }
+
+    /**
+     * Sends a message
+     * @param message {Object} the message, sent as JSON
+     */
+    send = message => {
+        if (!this.closed) this.socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))))
+    }
+
+    /**
+     * Closes the connection
+     */
+    close = () => {
+        if (this.closed) return
+        this.closed = true
+        if (this.socket.writable) this.socket.end(encodeFrame(OPCODES.close, Buffer.alloc(0)))
+        this.socket.destroy()
+        this.onClose()
+    }
+}
+
+/**
+ * Checks that a board sent by a player is the one the server reached
+ * @param state {Object} the serialized game of the server
+ * @param sent {Object} the serialized game sent by the player
+ * @returns {boolean} true if the scores and the tiles, with their types, are the same, false otherwise
+ */
+function sameGame(state, sent) {
+    if (!sent || typeof sent !== "object" || sent.score !== state.score || !sent.grid || !Array.isArray(sent.grid.cells)) {
+        return false
+    }
+    return state.grid.cells.every((column, x) => Array.isArray(sent.grid.cells[x]) && column.every((cell, y) => {
+        const other = sent.grid.cells[x][y]
+        return cell ? !!other && other.value === cell.value && other.type === cell.type : !other
+    }))
+}
+
+class RaceServer {
+    constructor() {
+        // Room names to the players waiting there, or racing there
+        this.rooms = new Map()
+    }
+
+    /**
+     * Handles a message of a player
+     * @param player {Object} the player
+     * @param message {Object} the message
+     */
+    receive = (player, message) => {
+        if (message.type === "join") {
+            this.join(player, message)
+        } else if (message.type === "move") {
+            this.move(player, message)
+        }
+    }
+
+    /**
+     * Puts a player in a room, starting the race once two players are in
+     * @param player {Object} the player
+     * @param message {{room: string, name: string}} the room and the name of the player
+     */
+    join = (player, message) => {
+        const roomName = typeof message.room === "string" ? message.room.trim() : ""
+        const name = typeof message.name === "string" ? message.name.trim().slice(0, 20) : ""
+        if (!roomName || roomName.length > 30 || !name) {
+            player.connection.send({ type: "error", message: "Pick a room and a name" })
+            return
+        }
+        this.leave(player)
+        const room = this.rooms.get(roomName) || { name: roomName, players: [], racing: false }
+        if (room.racing || room.players.length >= 2) {
+            player.connection.send({ type: "error", message: "The room is full" })
+            return
+        }
+        this.rooms.set(roomName, room)
+        player.name = name
+        player.room = room
+        room.players.push(player)
+        if (room.players.length < 2) {
+            player.connection.send({ type: "waiting", room: roomName })
+            return
+        }
+        const seed = SeededRandom.randomSeed()
+        room.racing = true
+        room.players.forEach((racer, i) => {
+            racer.opponent = room.players[1 - i]
+            racer.game = new Game(4, new SeededRandom(seed), RULE_PRESETS.classic)
+            racer.game.addStartTiles()
+        })
+        room.players.forEach(racer => racer.connection.send({
+            type: "start",
+            seed: seed,
+            opponent: racer.opponent.name,
+            state: racer.game.serialize()
+        }))
+    }
+
+    /**
+     * Plays a move again, then passes it on to the opponent, or ends the race when it could not give the board sent
+     * @param player {Object} the player
+     * @param message {{direction: number, state: Object}} the direction of the move and the game after it
+     */
+    move = (player, message) => {
+        if (!player.room || !player.room.racing || ![0, 1, 2, 3].includes(message.direction)) return
+        player.game.move(message.direction)
+        const state = player.game.serialize()
+        if (!sameGame(state, message.state)) {
+            this.end(player.room, player.opponent, player.name + " sent a board this move cannot give")
+            return
+        }
+        player.opponent.connection.send({ type: "opponent", direction: message.direction, state: state })
+        if (player.game.won) {
+            this.end(player.room, player, player.name + " reached " + player.game.target())
+        } else if (player.game.over && player.opponent.game.over) {
+            const [first, second] = player.room.players
+            const winner = first.game.score === second.game.score ? null :
+                first.game.score > second.game.score ? first : second
+            this.end(player.room, winner, "Both boards are full")
+        }
+    }
+
+    /**
+     * Ends the race of a room, which can then start another one
+     * @param room {Object} the room
+     * @param winner {?Object} the player who won, null for a draw
+     * @param reason {string} how the race ended
+     */
+    end = (room, winner, reason) => {
+        room.racing = false
+        room.players.forEach(player => player.connection.send({
+            type: "end",
+            result: !winner ? "draw" : winner === player ? "win" : "loss",
+            reason: reason,
+            scores: [player.game.score, player.opponent.game.score]
+        }))
+        room.players.forEach(player => {
+            player.room = null
+            player.game = null
+            player.opponent = null
+        })
+        this.rooms.delete(room.name)
+    }
+
+    /**
+     * Takes a player out of its room, the opponent winning the race under way
+     * @param player {Object} the player
+     */
+    leave = player => {
+        const room = player.room
+        if (!room) return
+        if (room.racing) {
+            this.end(room, player.opponent, player.name + " left the race")
+            return
+        }
+        room.players = room.players.filter(other => other !== player)
+        player.room = null
+        if (!room.players.length) this.rooms.delete(room.name)
+    }
+
+    /**
+     * Answers the WebSocket handshake of an HTTP upgrade request
+     * @param request {http.IncomingMessage} the request
+     * @param socket {net.Socket} the socket
+     */
+    upgrade = (request, socket) => {
+        const key = request.headers["sec-websocket-key"]
+        if ((request.headers.upgrade || "").toLowerCase() !== "websocket" || !key) {
+            socket.end("HTTP/1.1 400 Bad Request\r\n\r\n")
+            return
+        }
+        const accept = crypto.createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64")
+        socket.write("HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" +
+            "Sec-WebSocket-Accept: " + accept + "\r\n\r\n")
+        const player = { connection: null, name: "", room: null, game: null, opponent: null }
+        player.connection = new Connection(socket, message => this.receive(player, message), () => this.leave(player))
+    }
+}
+
+/**
+ * Starts the server
+ * @param args {string[]} the command line arguments
+ */
+function runServer(args) {
+    const portIndex = args.indexOf("--port")
+    const port = portIndex >= 0 ? parseInt(args[portIndex + 1], 10) : 8080
+    const races = new RaceServer()
+    const server = http.createServer((request, response) => {
+        response.writeHead(426, { "Content-Type": "text/plain" })
+        response.end("This is the 2048 race server, connect to it from the game\n")
+    })
+    server.on("upgrade", races.upgrade)
+    server.listen(port, () => console.log("Race server listening on ws://localhost:" + port))
+}
+
+if (require.main === module) {
+    runServer(process.argv.slice(2))
+}
+
+module.exports = { encodeFrame, decodeFrame, sameGame, RaceServer }